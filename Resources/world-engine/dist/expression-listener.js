@@ -1,6 +1,15 @@
 const EXPRESSION_IMAGE_SELECTOR = '#expression-image';
 const FALLBACK_IMAGE = '../assets/expression-fallback.png';
 
+// Visual novel mode renders one expression holder per group member, keyed by the character's avatar file.
+export function getCharacterExpressionSelector(characterKey) {
+    if (!characterKey) return EXPRESSION_IMAGE_SELECTOR;
+    const escaped = typeof CSS !== 'undefined' && typeof CSS.escape === 'function'
+        ? CSS.escape(characterKey)
+        : String(characterKey).replace(/["\\]/g, '\\$&');
+    return `.expression-holder[data-avatar="${escaped}"] img`;
+}
+
 function safeGetDocument(targetWindow) {
     if (!targetWindow || targetWindow === window) {
         return null;
@@ -0,0 +1,283 @@
+// Offline atmosphere inference: scores narration against a keyword rule table and proposes world commands.
+
+import { validateWorldCommand } from './world-commands.js';
+
+const NEGATION_PATTERN = '(?:no|not|without|never|barely)\\s+(?:\\w+\\s+)?';
+const MAX_HITS_PER_TERM = 2;
+const TIME_TOLERANCE_HOURS = 1.5;
+
+export const DEFAULT_ATMOSPHERE_RULES = [
+    {
+        id: 'rain',
+        group: 'weather',
+        command: 'weather',
+        args: { preset: 'rainy' },
+        terms: {
+            rain: 1, raining: 1.2, rained: 0.6, rainfall: 1, drizzle: 0.8, downpour: 1.5, raindrops: 1,
+            umbrella: 0.5, puddle: 0.4, puddles: 0.4,
+            'stopped raining': -2, 'rain stopped': -2, 'rain eased': -1,
+        },
+        threshold: 0.6,
+        scale: 2,
+        cooldown: 3,
+    },
+    {
+        id: 'storm',
+        group: 'weather',
+        command: 'weather',
+        args: { preset: 'stormy' },
+        terms: {
+            storm: 1.2, stormy: 1.2, thunderstorm: 1.8, thunder: 1.2, lightning: 1.2, gale: 0.8, tempest: 1.2,
+            'storm passed': -2, 'storm ended': -2,
+        },
+        threshold: 0.6,
+        scale: 2,
+        cooldown: 3,
+    },
+    {
+        id: 'snow',
+        group: 'weather',
+        command: 'weather',
+        args: { preset: 'snowy' },
+        terms: {
+            snow: 1.2, snowing: 1.5, snowfall: 1.5, snowflakes: 1.2, snowflake: 1, blizzard: 1.8, sleet: 0.8, flurries: 1,
+            'snow stopped': -2, 'snow melted': -1,
+        },
+        threshold: 0.6,
+        scale: 2,
+        cooldown: 3,
+    },
+    {
+        id: 'overcast',
+        group: 'weather',
+        command: 'weather',
+        args: { preset: 'overcast' },
+        terms: {
+            overcast: 1.5, 'grey sky': 1.2, 'gray sky': 1.2, 'grey skies': 1.2, 'gray skies': 1.2,
+            'heavy clouds': 1, 'clouds gathered': 1, gloomy: 0.6, dreary: 0.6,
+        },
+        threshold: 0.6,
+        scale: 2,
+        cooldown: 3,
+    },
+    {
+        id: 'fog',
+        group: 'weather',
+        command: 'weather',
+        args: { preset: 'foggy' },
+        terms: {
+            fog: 1.2, foggy: 1.2, mist: 1, misty: 1, haze: 0.8, hazy: 0.8, murk: 0.6,
+            'fog lifted': -2, 'mist cleared': -2,
+        },
+        threshold: 0.6,
+        scale: 2,
+        cooldown: 3,
+    },
+    {
+        id: 'clear',
+        group: 'weather',
+        command: 'weather',
+        args: { preset: 'clear' },
+        terms: {
+            sunshine: 1, sunny: 1.2, 'clear sky': 1.5, 'clear skies': 1.5, cloudless: 1.2,
+            'stopped raining': 1.5, 'rain stopped': 1.5, 'fog lifted': 1.5, 'mist cleared': 1.5, 'sun broke through': 1.5,
+            'storm passed': 1.2, 'snow stopped': 1.2,
+        },
+        threshold: 0.6,
+        scale: 2,
+        cooldown: 3,
+    },
+    {
+        id: 'dawn',
+        group: 'time',
+        command: 'time',
+        args: { hour: 6 },
+        terms: { dawn: 1.5, sunrise: 1.5, daybreak: 1.5, 'first light': 1.2, 'sun rose': 1.2 },
+        threshold: 0.6,
+        scale: 1.5,
+        cooldown: 2,
+    },
+    {
+        id: 'morning',
+        group: 'time',
+        command: 'time',
+        args: { hour: 9 },
+        terms: { morning: 1, breakfast: 0.8, 'good morning': 1.2 },
+        threshold: 0.6,
+        scale: 1.5,
+        cooldown: 2,
+    },
+    {
+        id: 'noon',
+        group: 'time',
+        command: 'time',
+        args: { hour: 12 },
+        terms: { noon: 1.5, midday: 1.5, lunch: 0.8, 'high sun': 1 },
+        threshold: 0.6,
+        scale: 1.5,
+        cooldown: 2,
+    },
+    {
+        id: 'dusk',
+        group: 'time',
+        command: 'time',
+        args: { hour: 19 },
+        terms: { dusk: 1.5, sunset: 1.5, twilight: 1.2, evening: 1, 'sun set': 1.2, 'setting sun': 1.2 },
+        threshold: 0.6,
+        scale: 1.5,
+        cooldown: 2,
+    },
+    {
+        id: 'night',
+        group: 'time',
+        command: 'time',
+        args: { hour: 22 },
+        terms: { night: 1, midnight: 1.5, moonlight: 1.2, moonlit: 1.2, starlight: 1, nightfall: 1.5 },
+        threshold: 0.6,
+        scale: 1.5,
+        cooldown: 2,
+    },
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+function compileRule(rule) {
+    const terms = Object.entries(rule.terms).map(([term, weight]) => {
+        const body = escapeRegExp(term.toLowerCase()).replace(/\s+/g, '\\s+');
+        return {
+            term,
+            weight,
+            pattern: new RegExp(`\\b${body}\\b`, 'g'),
+            negated: new RegExp(`\\b${NEGATION_PATTERN}${body}\\b`, 'g'),
+        };
+    });
+    return { ...rule, terms };
+}
+
+export function parseAtmosphereRules(input) {
+    const errors = [];
+    let raw = input;
+    if (typeof input === 'string') {
+        if (!input.trim()) return { rules: DEFAULT_ATMOSPHERE_RULES.map(compileRule), errors };
+        try {
+            raw = JSON.parse(input);
+        } catch (error) {
+            return { rules: [], errors: [`invalid JSON: ${error.message}`] };
+        }
+    }
+
+    if (!Array.isArray(raw)) {
+        return { rules: [], errors: ['rule table must be a JSON array'] };
+    }
+
+    const rules = [];
+    raw.forEach((rule, index) => {
+        const label = rule?.id ? `rule "${rule.id}"` : `rule ${index}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label}: expected an object`);
+            return;
+        }
+
+        const validation = validateWorldCommand({ command: rule.command, args: rule.args });
+        if (!validation.ok) {
+            errors.push(...validation.errors.map((error) => `${label}: ${error}`));
+            return;
+        }
+
+        const terms = rule.terms && typeof rule.terms === 'object' ? rule.terms : null;
+        const validTerms = terms && Object.values(terms).every((weight) => Number.isFinite(weight));
+        if (!validTerms || !Object.keys(terms).length) {
+            errors.push(`${label}: "terms" must map keywords to numeric weights`);
+            return;
+        }
+
+        rules.push(compileRule({
+            id: String(rule.id ?? `rule-${index}`),
+            group: String(rule.group ?? validation.command.command),
+            command: validation.command.command,
+            args: validation.command.args,
+            terms,
+            threshold: Number.isFinite(rule.threshold) ? rule.threshold : 0.6,
+            scale: Number.isFinite(rule.scale) && rule.scale > 0 ? rule.scale : 2,
+            cooldown: Number.isFinite(rule.cooldown) ? Math.max(0, Math.round(rule.cooldown)) : 0,
+        }));
+    });
+
+    return { rules, errors };
+}
+
+export function scoreAtmosphereRule(rule, text) {
+    const normalized = String(text ?? '').toLowerCase();
+    let score = 0;
+    const matches = [];
+
+    rule.terms.forEach(({ term, weight, pattern, negated }) => {
+        const hits = Math.min(MAX_HITS_PER_TERM, countMatches(normalized, pattern) - countMatches(normalized, negated));
+        if (hits <= 0) return;
+        score += hits * weight;
+        matches.push(term);
+    });
+
+    return { score, confidence: Math.max(0, Math.min(1, score / rule.scale)), matches };
+}
+
+function hourDistance(a, b) {
+    const diff = Math.abs(a - b) % 24;
+    return Math.min(diff, 24 - diff);
+}
+
+function isAlreadySatisfied(rule, current) {
+    if (rule.command === 'weather') {
+        return Boolean(current?.weather) && current.weather === rule.args.preset;
+    }
+    if (rule.command === 'time') {
+        return Number.isFinite(current?.timeOfDay) && hourDistance(current.timeOfDay, rule.args.hour) < TIME_TOLERANCE_HOURS;
+    }
+    return false;
+}
+
+// Picks at most one command per rule group. `lastApplied` maps group -> message index of the
+// last inferred change and is returned updated so callers can keep cooldowns across messages.
+export function inferAtmosphereCommands(text, {
+    rules = DEFAULT_ATMOSPHERE_RULES.map(compileRule),
+    current = null,
+    messageIndex = 0,
+    lastApplied = {},
+    skipGroups = [],
+} = {}) {
+    const best = new Map();
+    rules.forEach((rule) => {
+        const result = scoreAtmosphereRule(rule, text);
+        if (result.confidence < rule.threshold) return;
+        const previous = best.get(rule.group);
+        if (!previous || result.confidence > previous.confidence) {
+            best.set(rule.group, { rule, ...result });
+        }
+    });
+
+    const commands = [];
+    const nextApplied = { ...lastApplied };
+    best.forEach(({ rule, confidence, matches }, group) => {
+        if (skipGroups.includes(group)) return;
+        const last = lastApplied[group];
+        if (Number.isFinite(last) && messageIndex - last < rule.cooldown) return;
+        if (isAlreadySatisfied(rule, current)) return;
+
+        nextApplied[group] = messageIndex;
+        commands.push({
+            command: { command: rule.command, args: { ...rule.args } },
+            ruleId: rule.id,
+            group,
+            confidence,
+            matches,
+        });
+    });
+
+    return { commands, lastApplied: nextApplied };
+}
@@ -65,6 +65,14 @@ const MESSAGE_RECEIVED_KEYS = [
     { match: /MESSAGE_(RECEIVED|RENDERED)/i },
 ];
 
+const GROUP_MEMBER_DRAFTED_KEYS = [
+    'GROUP_MEMBER_DRAFTED',
+];
+
+const GROUP_UPDATED_KEYS = [
+    'GROUP_UPDATED',
+];
+
 const DEFAULT_HISTORY_BUDGET = 1024;
 
 function getHistorySource() {
@@ -76,6 +84,20 @@ function getTokenCounter() {
     return typeof ctx?.getTokenCountAsync === 'function' ? ctx.getTokenCountAsync : null;
 }
 
+// Group chats have no single characterId, so each message is matched to its speaker.
+function resolveMessageCharacter(message, ctx) {
+    const characters = Array.isArray(ctx?.characters) ? ctx.characters : [];
+    if (message.original_avatar) {
+        const byAvatar = characters.find((character) => character?.avatar === message.original_avatar);
+        if (byAvatar) return byAvatar;
+    }
+    if (ctx?.groupId) {
+        return characters.find((character) => character?.name === message.name) ?? null;
+    }
+    const charId = ctx?.characterId;
+    return charId !== undefined ? characters[charId] ?? null : null;
+}
+
 function normalizeHistoryEntry(message, ctx = getHistorySource()) {
     if (!message || typeof message !== 'object') return null;
 
@@ -92,17 +114,16 @@ function normalizeHistoryEntry(message, ctx = getHistorySource()) {
         role = 'user';
     }
 
-    const charId = ctx?.characterId;
-    const characters = ctx?.characters;
-    const character = (charId !== undefined && Array.isArray(characters)) ? characters[charId] : null;
+    const character = message.is_user ? null : resolveMessageCharacter(message, ctx);
 
     let name = message.name;
     let avatar = message.force_avatar;
 
-    if (!message.is_user && character) {
+    if (character) {
         name = name || character.name;
         avatar = avatar || character.avatar;
     }
+    const characterKey = character?.avatar ?? null;
 
     const attachments = Array.isArray(message.extra?.file)
         ? message.extra.file
@@ -116,7 +137,7 @@ function normalizeHistoryEntry(message, ctx = getHistorySource()) {
 
     const isAssistant = role === 'assistant';
 
-    return { text, signature, role, isAssistant, name, avatar, attachments, authorId, timestamp };
+    return { text, signature, role, isAssistant, name, avatar, characterKey, attachments, authorId, timestamp };
 }
 
 async function buildHistorySnapshot({ limitMessages = null, tokenBudget = null, includeSystem = true } = {}) {
@@ -371,6 +392,8 @@ export function registerSillyTavernIntegration({
     onMessageReceived = null,
     onChatChanged = null,
     onHistoryChanged = null,
+    onGroupMemberDrafted = null,
+    onGroupUpdated = null,
 } = {}) {
     const source = eventSource && typeof eventSource.on === 'function' ? eventSource : null;
     const registry = new Map();
@@ -386,6 +409,8 @@ export function registerSillyTavernIntegration({
     registerEventListeners(source, eventTypes, MESSAGE_RECEIVED_KEYS, onMessageReceived, registry);
     registerEventListeners(source, eventTypes, CHAT_CHANGED_KEYS, onChatChanged, registry);
     registerEventListeners(source, eventTypes, HISTORY_UPDATE_KEYS, onHistoryChanged, registry);
+    registerEventListeners(source, eventTypes, GROUP_MEMBER_DRAFTED_KEYS, onGroupMemberDrafted, registry);
+    registerEventListeners(source, eventTypes, GROUP_UPDATED_KEYS, onGroupUpdated, registry);
 
     return record;
 }
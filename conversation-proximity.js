@@ -0,0 +1,70 @@
+// How far a line spoken in the scene carries, and the note added to outgoing chat.
+
+export const PROXIMITY_MODES = ['off', 'annotate', 'limit'];
+export const PROXIMITY_RANGE_LIMITS = [5, 100];
+export const DEFAULT_PROXIMITY_RANGE = 30;
+
+// Whispering distance is fixed; the other bands are fractions of the hearing range.
+const WHISPER_DISTANCE = 3;
+const TALK_FRACTION = 0.3;
+const RAISED_FRACTION = 0.6;
+
+export const PROXIMITY_BANDS = ['close', 'talk', 'raised', 'shout', 'out_of_earshot'];
+
+export function clampProximityRange(value) {
+    const [min, max] = PROXIMITY_RANGE_LIMITS;
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return DEFAULT_PROXIMITY_RANGE;
+    return Math.min(max, Math.max(min, Math.round(numeric)));
+}
+
+export function getProximityBand(distance, range = DEFAULT_PROXIMITY_RANGE) {
+    const reach = clampProximityRange(range);
+    if (!Number.isFinite(distance) || distance > reach) return 'out_of_earshot';
+    if (distance <= WHISPER_DISTANCE) return 'close';
+    if (distance <= Math.max(WHISPER_DISTANCE, reach * TALK_FRACTION)) return 'talk';
+    if (distance <= reach * RAISED_FRACTION) return 'raised';
+    return 'shout';
+}
+
+// The scene measures; this turns the measurement into something both sides agree on.
+export function classifyProximity({ name = null, distance, visible = true, acrossWater = false } = {}, range = DEFAULT_PROXIMITY_RANGE) {
+    const band = getProximityBand(Number(distance), range);
+    return {
+        name,
+        distance: Number.isFinite(Number(distance)) ? Math.round(Number(distance)) : null,
+        band,
+        audible: band !== 'out_of_earshot',
+        visible: Boolean(visible),
+        acrossWater: Boolean(acrossWater),
+    };
+}
+
+// Returns '' when nothing about the distance is worth telling the model.
+export function describeProximity(proximity, { user = 'User', character = null } = {}) {
+    if (!proximity || !PROXIMITY_BANDS.includes(proximity.band)) return '';
+    const listener = character || proximity.name || 'them';
+    const distance = proximity.distance ?? '?';
+    const across = proximity.acrossWater ? ' across the water' : '';
+    const parts = [];
+
+    switch (proximity.band) {
+        case 'close':
+            parts.push(`${user} is right beside ${listener}, close enough to whisper.`);
+            break;
+        case 'talk':
+            if (across) parts.push(`${user} speaks to ${listener} from ${distance} m away${across}.`);
+            break;
+        case 'raised':
+            parts.push(`${user} raises their voice to reach ${listener}, ${distance} m away${across}.`);
+            break;
+        case 'shout':
+            parts.push(`${user} has to shout to ${listener} from ${distance} m away${across}.`);
+            break;
+        default:
+            parts.push(`${user} is ${distance} m away${across}, too far for ${listener} to make out the words.`);
+    }
+
+    if (!proximity.visible) parts.push(`${listener} cannot see ${user}.`);
+    return parts.join(' ');
+}
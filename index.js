@@ -1,9 +1,22 @@
 import { extension_settings, renderExtensionTemplateAsync, getContext } from '/scripts/extensions.js';
 import { callGenericPopup, POPUP_TYPE } from '/scripts/popup.js';
-import { eventSource, event_types, extension_prompt_types, extension_prompt_roles, setExtensionPrompt } from '/script.js';
+import { eventSource, event_types, extension_prompt_types, extension_prompt_roles, getThumbnailUrl, setExtensionPrompt } from '/script.js';
 import { buildHistorySnapshot, normalizeHistoryEntry, registerSillyTavernIntegration, unregisterSillyTavernIntegration } from './chat-integration.js';
-import { buildViewUrl, DEFAULT_SETTINGS, ensureSettings, EXTENSION_NAME, persistSettings, sendSettingsToFrame } from './settings-utils.js';
-import { rememberFrameOrigin, resolveTrackedFrame } from './message-security.js';
+import { applyCharacterWorld, buildViewUrl, CHARACTER_WORLD_FIELDS, DEFAULT_SETTINGS, ensureSettings, EXTENSION_NAME, persistSettings, pickCharacterWorldFields, sendSettingsToFrame } from './settings-utils.js';
+import { getFrameTargetOrigin, greetFrame, hostBridge, postToFrame, rememberFrameOrigin, requestFromFrame, resolveTrackedFrame } from './message-security.js';
+import { NPC_BEHAVIORS, parseWorldCommandBlocks, stripWorldCommandBlocks, validateWorldCommand, WEATHER_PRESETS } from './world-commands.js';
+import { normalizeWorldSnapshot, readChatWorldState, writeChatWorldState } from './world-state.js';
+import { createWorldSimulation, SIMULATED_COMMANDS } from './world-simulation.js';
+import { formatInventory, formatInventoryItem } from './world-inventory.js';
+import { generateWorldSeed, sanitizeWorldSeed } from './world-seed.js';
+import { WATER_BEHAVIORS } from './world-collision.js';
+import { DEFAULT_REGION_ENTER_TEXT, DEFAULT_REGION_EXIT_TEXT, formatRegionNote } from './world-regions.js';
+import { clampProximityRange, classifyProximity, describeProximity, PROXIMITY_MODES } from './conversation-proximity.js';
+import { advanceClockHour, clampDayLength, clampStoryHours, CLOCK_MODES, describeClockMode, getSystemClockHour } from './world-clock.js';
+import { DEFAULT_ATMOSPHERE_RULES, inferAtmosphereCommands, parseAtmosphereRules } from './atmosphere-inference.js';
+import { DEFAULT_OBJECTIVES, OBJECTIVE_DELIVERIES, parseObjectives, renderObjectiveMessage } from './world-objectives.js';
+import { createInteractionCooldowns, DEFAULT_INTERACTION_ACTIONS, getInteractionCooldownKey, INTERACTION_INPUT_MAX_LENGTH, parseInteractionActions, renderInteractionMessage } from './interaction-actions.js';
+import { DEFAULT_MESSAGE_NOTE_TEMPLATE, DEFAULT_PROMPT_TEMPLATE, formatNearbyNpcs, formatNearbyObjects, formatPromptPosition, formatVisibleEntities, PREVIOUS_DEFAULT_PROMPT_TEMPLATES, PROMPT_POSITIONS, PROMPT_ROLES, renderPromptTemplate } from './prompt-template.js';
 
 const EXTENSION_BASE_URL = new URL('.', import.meta.url);
 const SETTINGS_HTML_URL = new URL('./settings.html', EXTENSION_BASE_URL).toString();
@@ -20,7 +33,18 @@ const RAIN_INTENSITY_RANGE = [0, 2];
 const FOG_DENSITY_RANGE = [0.2, 3];
 const CLOUD_DENSITY_RANGE = [0, 2];
 const CLOUD_SPEED_RANGE = [0, 2];
+const WIND_STRENGTH_RANGE = [0, 2];
+const WIND_DIRECTION_RANGE = [0, 360];
+const TRANSITION_SECONDS_RANGE = [0, 30];
+const THUNDER_EVENT = 'world_engine_thunder';
+const OBJECTIVE_EVENT = 'world_engine_objective_complete';
 const EXTENSION_PROMPT_KEY = 'WORLD_ENGINE_ATMOSPHERE';
+const REGION_PROMPT_KEY = 'WORLD_ENGINE_REGION';
+const REGION_NOTE_LIMIT = 4;
+const NPC_NOTE_TEXT = { approach: '{{user}} walked up to {{npc}}.', leave: '{{user}} walked away from {{npc}}.' };
+const INVENTORY_NOTE_TEXT = { drop: '{{user}} dropped {{item}}.' };
+const PROMPT_DEPTH_RANGE = [0, 100];
+const CAST_ARRANGEMENTS = ['arc', 'line', 'circle'];
 
 let chatIntegrationHandle = null;
 let chatPollTimer = null;
@@ -30,6 +54,8 @@ const chatSyncState = {
     streamingBuffer: '',
     streamingActive: false,
     lastHistoryLength: 0,
+    lastCommandKey: null,
+    activeSpeaker: null,
 };
 
 function shouldStreamAssistantMessages() {
@@ -55,10 +81,15 @@ function getMessageFromContext(messageId) {
 }
 
 let cachedWorldState = null;
-let statePollTimer = null;
-const STATE_POLL_INTERVAL = 5000;
-
-const WEATHER_PRESETS = ['clear', 'foggy', 'rainy'];
+let restoredWorldSnapshot = null;
+let lastPersistedWorldState = null;
+let propEditMode = false;
+let syncSettingsPanelControls = null;
+const STATE_REFRESH_TIMEOUT = 1500;
+const SIMULATION_TICK_INTERVAL = 1000;
+const worldSimulation = createWorldSimulation();
+let simulationTimer = null;
+let lastSimulationTick = 0;
 
 function clampTimeOfDayValue(value) {
     const numeric = Number(value);
@@ -102,6 +133,18 @@ function clampCloudSpeed(value) {
     return clampInRange(value, CLOUD_SPEED_RANGE, DEFAULT_SETTINGS.cloudSpeed);
 }
 
+function clampWindStrength(value) {
+    return clampInRange(value, WIND_STRENGTH_RANGE, DEFAULT_SETTINGS.windStrength);
+}
+
+function clampWindDirection(value) {
+    return Math.round(clampInRange(value, WIND_DIRECTION_RANGE, DEFAULT_SETTINGS.windDirection));
+}
+
+function clampTransitionSeconds(value) {
+    return clampInRange(value, TRANSITION_SECONDS_RANGE, DEFAULT_SETTINGS.transitionSeconds);
+}
+
 function formatTimeOfDayLabel(value) {
     const clamped = clampTimeOfDayValue(value);
     const normalized = clamped >= 24 ? 0 : clamped;
@@ -130,6 +173,26 @@ function formatWeatherScalarLabel(value) {
     return `${Number(value || 0).toFixed(2)}x`;
 }
 
+function formatWindDirectionLabel(value) {
+    return `${clampWindDirection(value)}°`;
+}
+
+function formatTransitionLabel(value) {
+    return `${clampTransitionSeconds(value).toFixed(1)}s`;
+}
+
+function formatProximityRangeLabel(value) {
+    return `${clampProximityRange(value)} m`;
+}
+
+function formatDayLengthLabel(value) {
+    return `${clampDayLength(value)} min`;
+}
+
+function formatStoryHoursLabel(value) {
+    return `${clampStoryHours(value)} h`;
+}
+
 function normalizeWeatherValue(value) {
     if (typeof value !== 'string') return DEFAULT_SETTINGS.weather;
     const normalized = value.toLowerCase();
@@ -137,9 +200,14 @@ function normalizeWeatherValue(value) {
 }
 
 function resolveAtmosphereSnapshot(settingsOverride = null) {
-    const settings = normalizeAtmosphereSettings(settingsOverride ?? getSettings());
-    const timeSource = cachedWorldState?.time ?? settings.timeOfDay;
-    const weatherSource = cachedWorldState?.weather ?? settings.weather;
+    const settings = normalizeAtmosphereSettings(settingsOverride ?? getEffectiveSettings());
+    // The simulation starts from the chat's saved world and keeps it moving while no viewer is open.
+    const simulated = settingsOverride ? null : worldSimulation.getState();
+    // A synced clock is known here without waiting for the next state update from the scene.
+    const timeSource = settings.clockMode === 'realtime'
+        ? getSystemClockHour()
+        : cachedWorldState?.time ?? simulated?.timeOfDay ?? settings.timeOfDay;
+    const weatherSource = cachedWorldState?.weather ?? simulated?.weather ?? settings.weather;
     const numericTime = Number(timeSource);
     const timeLabel = Number.isFinite(numericTime)
         ? formatTimeOfDayLabel(numericTime)
@@ -148,13 +216,67 @@ function resolveAtmosphereSnapshot(settingsOverride = null) {
         ? weatherSource
         : String(weatherSource ?? DEFAULT_SETTINGS.weather);
 
-    return { timeLabel, weatherLabel };
+    const clockLabel = describeClockMode(settings.clockMode, settings);
+
+    return { timeLabel, weatherLabel, clockLabel };
+}
+
+function buildPromptTemplateValues(settingsOverride = null) {
+    const { timeLabel, weatherLabel, clockLabel } = resolveAtmosphereSnapshot(settingsOverride);
+    // With no scene open, the chat's saved world still knows where the player stood and what they carry.
+    const savedSnapshot = settingsOverride ? null : restoredWorldSnapshot;
+    return {
+        time: timeLabel,
+        clock: clockLabel,
+        weather: weatherLabel,
+        location: cachedWorldState?.locationDescription ?? savedSnapshot?.location?.description,
+        position: formatPromptPosition(cachedWorldState?.position ?? savedSnapshot?.player),
+        visible: formatVisibleEntities(cachedWorldState ?? (savedSnapshot?.location ? { visible: savedSnapshot.location.nearby } : null)),
+        nearbyObjects: formatNearbyObjects(cachedWorldState?.nearbyObjects),
+        npcs: formatNearbyNpcs(cachedWorldState?.npcs),
+        inventory: formatInventory(cachedWorldState?.inventory ?? savedSnapshot?.inventory),
+    };
 }
 
+function resolvePromptPlacement(settings) {
+    const positions = {
+        in_prompt: extension_prompt_types.IN_PROMPT,
+        in_chat: extension_prompt_types.IN_CHAT,
+        before_prompt: extension_prompt_types.BEFORE_PROMPT,
+    };
+    const roles = {
+        system: extension_prompt_roles.SYSTEM,
+        user: extension_prompt_roles.USER,
+        assistant: extension_prompt_roles.ASSISTANT,
+    };
+    return {
+        position: positions[settings.promptPosition] ?? extension_prompt_types.IN_PROMPT,
+        depth: settings.promptDepth,
+        role: roles[settings.promptRole] ?? extension_prompt_roles.SYSTEM,
+    };
+}
+
+// The prompt text that was in place when the last reply finished; used by "only on change".
+let lastDeliveredPrompt = null;
+let currentAtmospherePrompt = '';
+
 function updateExtensionAtmospherePrompt(settingsOverride = null) {
-    const { timeLabel, weatherLabel } = resolveAtmosphereSnapshot(settingsOverride);
-    const prompt = `World Engine environment context: time of day ${timeLabel}, weather ${weatherLabel}. When responding to the user, always mention the current time of day and weather conditions.`;
-    setExtensionPrompt(EXTENSION_PROMPT_KEY, prompt, extension_prompt_types.IN_PROMPT, 0, false, extension_prompt_roles.SYSTEM);
+    const settings = normalizeAtmosphereSettings({ ...(settingsOverride ?? getEffectiveSettings()) });
+    const prompt = renderPromptTemplate(settings.promptTemplate, buildPromptTemplateValues(settingsOverride));
+    currentAtmospherePrompt = prompt;
+
+    const unchanged = settings.promptOnlyOnChange && prompt === lastDeliveredPrompt;
+    const { position, depth, role } = resolvePromptPlacement(settings);
+    setExtensionPrompt(EXTENSION_PROMPT_KEY, unchanged ? '' : prompt, position, depth, false, role);
+}
+
+function markAtmospherePromptDelivered() {
+    lastDeliveredPrompt = currentAtmospherePrompt;
+    updateExtensionAtmospherePrompt();
+}
+
+function resetAtmospherePromptDelivery() {
+    lastDeliveredPrompt = null;
 }
 
 function normalizeAtmosphereSettings(settings) {
@@ -174,6 +296,30 @@ function normalizeAtmosphereSettings(settings) {
     settings.cloudsEnabled = Boolean(settings.cloudsEnabled ?? DEFAULT_SETTINGS.cloudsEnabled);
     settings.cloudDensity = clampCloudDensity(settings.cloudDensity ?? DEFAULT_SETTINGS.cloudDensity);
     settings.cloudSpeed = clampCloudSpeed(settings.cloudSpeed ?? DEFAULT_SETTINGS.cloudSpeed);
+    settings.windStrength = clampWindStrength(settings.windStrength ?? DEFAULT_SETTINGS.windStrength);
+    settings.windDirection = clampWindDirection(settings.windDirection ?? DEFAULT_SETTINGS.windDirection);
+    settings.transitionSeconds = clampTransitionSeconds(settings.transitionSeconds ?? DEFAULT_SETTINGS.transitionSeconds);
+    settings.clockMode = CLOCK_MODES.includes(settings.clockMode) ? settings.clockMode : DEFAULT_SETTINGS.clockMode;
+    settings.dayLength = clampDayLength(settings.dayLength ?? DEFAULT_SETTINGS.dayLength);
+    settings.storyHours = clampStoryHours(settings.storyHours ?? DEFAULT_SETTINGS.storyHours);
+    settings.regionNotes = Boolean(settings.regionNotes ?? DEFAULT_SETTINGS.regionNotes);
+    settings.regionNotesScanLorebook = Boolean(settings.regionNotesScanLorebook ?? DEFAULT_SETTINGS.regionNotesScanLorebook);
+    settings.promptTemplate = typeof settings.promptTemplate === 'string' && !PREVIOUS_DEFAULT_PROMPT_TEMPLATES.includes(settings.promptTemplate)
+        ? settings.promptTemplate
+        : DEFAULT_SETTINGS.promptTemplate;
+    settings.promptPosition = PROMPT_POSITIONS.includes(settings.promptPosition) ? settings.promptPosition : DEFAULT_SETTINGS.promptPosition;
+    settings.promptDepth = Math.round(clampInRange(settings.promptDepth, PROMPT_DEPTH_RANGE, DEFAULT_SETTINGS.promptDepth));
+    settings.promptRole = PROMPT_ROLES.includes(settings.promptRole) ? settings.promptRole : DEFAULT_SETTINGS.promptRole;
+    settings.promptOnlyOnChange = Boolean(settings.promptOnlyOnChange ?? DEFAULT_SETTINGS.promptOnlyOnChange);
+    settings.castArrangement = CAST_ARRANGEMENTS.includes(settings.castArrangement) ? settings.castArrangement : DEFAULT_SETTINGS.castArrangement;
+    settings.waterBehavior = WATER_BEHAVIORS.includes(settings.waterBehavior) ? settings.waterBehavior : DEFAULT_SETTINGS.waterBehavior;
+    settings.proximityMode = PROXIMITY_MODES.includes(settings.proximityMode) ? settings.proximityMode : DEFAULT_SETTINGS.proximityMode;
+    settings.proximityRange = clampProximityRange(settings.proximityRange ?? DEFAULT_SETTINGS.proximityRange);
+    settings.objectivesEnabled = Boolean(settings.objectivesEnabled ?? DEFAULT_SETTINGS.objectivesEnabled);
+    settings.objectiveDelivery = OBJECTIVE_DELIVERIES.includes(settings.objectiveDelivery) ? settings.objectiveDelivery : DEFAULT_SETTINGS.objectiveDelivery;
+    settings.worldSeed = sanitizeWorldSeed(settings.worldSeed);
+    settings.perChatSeed = Boolean(settings.perChatSeed ?? DEFAULT_SETTINGS.perChatSeed);
+    settings.messageNoteTemplate = typeof settings.messageNoteTemplate === 'string' ? settings.messageNoteTemplate : DEFAULT_SETTINGS.messageNoteTemplate;
     return settings;
 }
 
@@ -194,6 +340,16 @@ function getWorldEngineContext() {
     return null;
 }
 
+function getCurrentChatId() {
+    const ctx = getWorldEngineContext();
+    if (typeof ctx?.getCurrentChatId === 'function') {
+        try {
+            return ctx.getCurrentChatId() ?? null;
+        } catch (_error) { /* ignored */ }
+    }
+    return ctx?.chatId ?? null;
+}
+
 function getWorldEngineFrames() {
     const classFrames = Array.from(document.querySelectorAll('iframe.world-engine-iframe'));
     const idFrame = document.getElementById('world_engine_iframe');
@@ -202,10 +358,20 @@ function getWorldEngineFrames() {
     if (idFrame) allFrames.add(idFrame);
 
     return Array.from(allFrames)
-        .map((iframe) => iframe?.contentWindow)
+        .map((iframe) => {
+            // Keeps the tracked origin in step with the src, which changes with the world and settings
+            trackWorldEngineFrame(iframe);
+            return iframe?.contentWindow;
+        })
         .filter((win) => win && typeof win.postMessage === 'function');
 }
 
+// The settings panel keeps an empty iframe around until its world is started; only frames showing
+// the scene count as an open viewer.
+function getOpenWorldEngineFrames() {
+    return getWorldEngineFrames().filter((frame) => getFrameTargetOrigin(frame));
+}
+
 function trackWorldEngineFrame(iframe) {
     if (!iframe || !(iframe instanceof HTMLIFrameElement)) {
         return;
@@ -238,20 +404,231 @@ function trackRenderedWorldEngineFrames() {
 }
 
 function broadcastChatPayload(payload, targetFrame = null) {
-    const frames = targetFrame ? [targetFrame] : getWorldEngineFrames();
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
     frames.forEach((frame) => {
         try {
-            frame.postMessage({
-                source: EXTENSION_NAME,
-                type: 'world-engine-chat',
-                payload,
-            }, '*');
+            postToFrame(frame, 'world-engine-chat', payload);
         } catch (error) {
             console.warn('[World Engine] Failed to deliver chat payload to frame.', error);
         }
     });
 }
 
+function buildWorldRestorePayload() {
+    const settings = normalizeAtmosphereSettings(getEffectiveSettings());
+    // A viewer opening while the simulation ran picks up its clock and weather.
+    const snapshot = normalizeWorldSnapshot({ ...restoredWorldSnapshot, ...worldSimulation.getState() });
+    return { chatId: getCurrentChatId(), snapshot, worldFile: settings.worldFile || null, seed: settings.worldSeed };
+}
+
+function sendWorldRestore(targetFrame = null) {
+    const payload = buildWorldRestorePayload();
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
+    frames.forEach((frame) => {
+        try {
+            postToFrame(frame, 'world-engine-restore', payload);
+        } catch (error) {
+            console.warn('[World Engine] Failed to deliver world restore to frame.', error);
+        }
+    });
+}
+
+function sendPropEditMode(targetFrame = null) {
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
+    frames.forEach((frame) => {
+        try {
+            postToFrame(frame, 'world-engine-edit-mode', { enabled: propEditMode });
+        } catch (error) {
+            console.warn('[World Engine] Failed to deliver edit mode to frame.', error);
+        }
+    });
+}
+
+// The settings toolbar and the popup toolbar both carry the toggle, so every copy is kept in step.
+function syncPropEditButtons(buttons = document.querySelectorAll('.world-engine-edit-props-button')) {
+    Array.from(buttons).forEach((button) => {
+        button.setAttribute('aria-pressed', String(propEditMode));
+        const label = button.querySelector('.world-engine-edit-props-label');
+        if (label) label.textContent = propEditMode ? 'Done editing' : 'Edit props';
+    });
+}
+
+function setPropEditMode(enabled) {
+    propEditMode = Boolean(enabled);
+    syncPropEditButtons();
+    sendPropEditMode();
+}
+
+function sendWorldFile(worldFile, targetFrame = null) {
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
+    frames.forEach((frame) => {
+        try {
+            postToFrame(frame, 'world-engine-load-world', { url: worldFile || null });
+        } catch (error) {
+            console.warn('[World Engine] Failed to deliver world file to frame.', error);
+        }
+    });
+}
+
+function toCastMember(character) {
+    return {
+        id: character.avatar,
+        name: character.name,
+        avatar: getThumbnailUrl('avatar', character.avatar),
+    };
+}
+
+// Everyone who should stand on a pedestal: the open character, or the enabled members of a group.
+function getChatCast(ctx = getWorldEngineContext()) {
+    const characters = Array.isArray(ctx?.characters) ? ctx.characters : [];
+    if (ctx?.groupId) {
+        const group = Array.isArray(ctx.groups) ? ctx.groups.find((entry) => entry?.id === ctx.groupId) : null;
+        const disabled = Array.isArray(group?.disabled_members) ? group.disabled_members : [];
+        return (Array.isArray(group?.members) ? group.members : [])
+            .filter((avatar) => !disabled.includes(avatar))
+            .map((avatar) => characters.find((character) => character?.avatar === avatar))
+            .filter(Boolean)
+            .map(toCastMember);
+    }
+
+    const character = ctx?.characterId !== undefined ? characters[ctx.characterId] : null;
+    return character?.avatar ? [toCastMember(character)] : [];
+}
+
+function sendCast(targetFrame = null) {
+    const payload = { members: getChatCast() };
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
+    frames.forEach((frame) => {
+        try {
+            postToFrame(frame, 'world-engine-cast', payload);
+        } catch (error) {
+            console.warn('[World Engine] Failed to deliver cast to frame.', error);
+        }
+    });
+}
+
+function sendActiveSpeaker(speaker, targetFrame = null) {
+    chatSyncState.activeSpeaker = speaker;
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
+    frames.forEach((frame) => {
+        try {
+            postToFrame(frame, 'world-engine-speaker', speaker);
+        } catch (error) {
+            console.warn('[World Engine] Failed to deliver active speaker to frame.', error);
+        }
+    });
+}
+
+function handleGroupMemberDrafted(characterIndex) {
+    const ctx = getWorldEngineContext();
+    const character = Array.isArray(ctx?.characters) ? ctx.characters[Number(characterIndex)] : null;
+    if (!character) return;
+    sendActiveSpeaker({ characterKey: character.avatar ?? null, name: character.name ?? null });
+    broadcastTypingState(true);
+}
+
+function persistWorldStateFromFrame(payload) {
+    const chatId = getCurrentChatId();
+    // Frames report the chat they were restored for, so state from a previous chat is never written into the new one.
+    if (!chatId || !payload?.snapshot || payload.chatId !== chatId) return;
+
+    const snapshot = normalizeWorldSnapshot(payload.snapshot);
+    const serialized = JSON.stringify(snapshot);
+    if (!snapshot || serialized === lastPersistedWorldState) return;
+
+    if (writeChatWorldState(getWorldEngineContext(), snapshot)) {
+        lastPersistedWorldState = serialized;
+        restoredWorldSnapshot = snapshot;
+    }
+}
+
+let pendingRegionNotes = [];
+
+function shouldInjectRegionNotes() {
+    const settings = getSettings();
+    return Boolean(settings.regionNotes ?? DEFAULT_SETTINGS.regionNotes);
+}
+
+function updateRegionNotePrompt() {
+    const settings = getSettings();
+    const prompt = pendingRegionNotes.length ? `[Scene update: ${pendingRegionNotes.join(' ')}]` : '';
+    // Scanning lets lorebook entries keyed on region names activate when the user wanders into them.
+    const scan = Boolean(settings.regionNotesScanLorebook ?? DEFAULT_SETTINGS.regionNotesScanLorebook);
+    setExtensionPrompt(REGION_PROMPT_KEY, prompt, extension_prompt_types.IN_PROMPT, 0, scan, extension_prompt_roles.SYSTEM);
+}
+
+function queueSceneNote(note) {
+    pendingRegionNotes = [...pendingRegionNotes, note].slice(-REGION_NOTE_LIMIT);
+    updateRegionNotePrompt();
+}
+
+function clearRegionNotes() {
+    if (!pendingRegionNotes.length) return;
+    pendingRegionNotes = [];
+    updateRegionNotePrompt();
+}
+
+function handleRegionEvent(payload) {
+    const region = payload?.region;
+    if (!region?.name || payload.initial || !shouldInjectRegionNotes()) return;
+    if (payload.chatId && payload.chatId !== getCurrentChatId()) return;
+
+    const template = payload.event === 'exit'
+        ? region.exitText || DEFAULT_REGION_EXIT_TEXT
+        : region.enterText || DEFAULT_REGION_ENTER_TEXT;
+    const note = formatRegionNote(template, {
+        user: getWorldEngineContext()?.name1 || 'User',
+        region: region.name,
+    });
+    if (!note) return;
+
+    queueSceneNote(note);
+}
+
+// Names are inserted as they are: a function replacer keeps "$&" and the like in them literal.
+function fillSceneNote(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+}
+
+// Walking up to or away from an NPC is reported like a region change, through the same scene update note.
+function handleNpcEvent(payload) {
+    const template = NPC_NOTE_TEXT[payload?.event];
+    if (!template || !payload.name || !shouldInjectRegionNotes()) return;
+    if (payload.chatId && payload.chatId !== getCurrentChatId()) return;
+
+    const note = fillSceneNote(template, { user: getWorldEngineContext()?.name1 || 'User', npc: payload.name });
+    queueSceneNote(note);
+}
+
+// Picking up and giving go through the interaction wheel; dropping is the one change made from the inventory panel.
+function handleInventoryEvent(payload) {
+    const template = INVENTORY_NOTE_TEXT[payload?.event];
+    if (!template || !payload.item?.name) return;
+    if (payload.chatId && payload.chatId !== getCurrentChatId()) return;
+
+    const note = fillSceneNote(template, { user: getWorldEngineContext()?.name1 || 'User', item: formatInventoryItem(payload.item) });
+    queueSceneNote(note);
+}
+
+function handleChatChanged() {
+    cachedWorldState = null;
+    // The last reply of the opened chat already shaped its saved world; rendering it again must not rerun it.
+    chatSyncState.lastCommandKey = getLatestReplyKey();
+    lastPersistedWorldState = null;
+    clearRegionNotes();
+    resetAtmosphereInference();
+    resetAtmospherePromptDelivery();
+    restoredWorldSnapshot = readChatWorldState(getWorldEngineContext());
+    ensureChatWorldSeed();
+    resetWorldSimulation();
+    updateExtensionAtmospherePrompt();
+    getOpenWorldEngineFrames().forEach((frame) => sendSettingsToFrame(frame, getEffectiveSettings()));
+    sendCast();
+    sendWorldRestore();
+    refreshCharacterWorldStatus();
+    void syncChatHistory();
+}
+
 function getLatestAssistantEntry() {
     const ctx = getWorldEngineContext();
     const chat = Array.isArray(ctx?.chat) ? ctx.chat : [];
@@ -282,11 +659,15 @@ function refreshLastSignatureFromHistory() {
 async function syncChatHistory(targetFrame = null) {
     const ctx = getWorldEngineContext();
     const tokenBudget = Number(ctx?.maxContext) || null;
-    const { history, signature } = await buildHistorySnapshot({
+    const snapshot = await buildHistorySnapshot({
         limitMessages: CHAT_SYNC_HISTORY_LIMIT,
         tokenBudget,
         includeSystem: true,
     });
+    const { signature } = snapshot;
+    const history = snapshot.history
+        .map((entry) => ({ ...entry, text: stripWorldCommandBlocks(entry.text) }))
+        .filter((entry) => entry.text);
 
     const isSameSignature = signature === chatSyncState.lastSignature;
     const isSameLength = history.length === chatSyncState.lastHistoryLength;
@@ -317,6 +698,7 @@ function resetChatSyncState() {
     chatSyncState.streamingBuffer = '';
     chatSyncState.streamingActive = false;
     chatSyncState.lastHistoryLength = 0;
+    if (chatSyncState.activeSpeaker) sendActiveSpeaker(null);
 }
 
 function handleStreamStart() {
@@ -356,30 +738,42 @@ function handleMessageFinished() {
         broadcastAssistantPayload({ textOverride: text, overwrite: true });
 
         // Check for commands in the final output
-        checkForWorldCommands(text);
+        handleFinishedNarration(text);
     } else {
         const latestAssistantEntry = getLatestAssistantEntry();
         if (latestAssistantEntry?.text) {
-            checkForWorldCommands(latestAssistantEntry.text);
+            handleFinishedNarration(latestAssistantEntry.text);
         }
     }
     broadcastTypingState(false);
     chatSyncState.streamingActive = false;
     chatSyncState.streamingBuffer = '';
+    sendActiveSpeaker(null);
+    clearRegionNotes();
+    markAtmospherePromptDelivered();
     void syncChatHistory();
 }
 
+function handleFinishedNarration(text) {
+    const result = checkForWorldCommands(text);
+    if (result) {
+        advanceStoryClock(result.commands);
+        inferAtmosphereFromNarration(result.text, result.commands);
+    }
+}
+
 function broadcastAssistantPayload({ baseMessage = null, textOverride = null, overwrite = false, targetFrame = null } = {}) {
     const normalized = baseMessage ?? getLatestAssistantEntry();
     if (!normalized || (normalized.role !== CHAT_ROLE_ASSISTANT && !normalized.isAssistant)) return;
 
     const payload = {
-        text: textOverride ?? normalized.text,
+        text: stripWorldCommandBlocks(textOverride ?? normalized.text),
         role: CHAT_ROLE_ASSISTANT,
         direction: 'incoming',
         signature: normalized.signature,
         name: normalized.name,
         avatar: normalized.avatar,
+        characterKey: normalized.characterKey,
         overwrite,
         attachments: normalized.attachments,
         authorId: normalized.authorId,
@@ -404,6 +798,8 @@ function broadcastTypingState(isTyping, targetFrame = null) {
         direction: 'incoming',
         typing: Boolean(isTyping),
         signature: chatSyncState.lastSignature,
+        name: chatSyncState.activeSpeaker?.name ?? null,
+        characterKey: chatSyncState.activeSpeaker?.characterKey ?? null,
     };
 
     broadcastChatPayload(payload, targetFrame);
@@ -432,49 +828,128 @@ function handleMessageSentEvent(messageId) {
     console.debug('[World Engine] Message metadata captured from send event', parityLog);
 }
 
+// Which reply a finished generation belongs to: the chat, the message, the swipe and when it was
+// written, so a regenerated or swiped reply runs its commands even when its text is the same.
+function getLatestReplyKey() {
+    const ctx = getWorldEngineContext();
+    const chat = Array.isArray(ctx?.chat) ? ctx.chat : [];
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (!message || message.is_user || message.is_system) continue;
+        return [getCurrentChatId(), i, message.swipe_id ?? 0, message.send_date ?? message.gen_finished ?? ''].join('|');
+    }
+    return null;
+}
+
 function checkForWorldCommands(text) {
-    if (!text) return;
+    if (!text) return null;
+    // The rendered and generation-ended events both report the same reply; its commands run once.
+    const key = getLatestReplyKey() ?? text;
+    if (key === chatSyncState.lastCommandKey) return null;
+    chatSyncState.lastCommandKey = key;
+
+    const result = parseWorldCommandBlocks(text);
+    result.errors.forEach((error) => console.warn('[World Engine] Rejected world command:', error));
+    result.commands.forEach((command) => {
+        console.log('[World Engine] Detected world command:', command.command, command.args);
+        broadcastCommand(command);
+    });
+    return result;
+}
+
+// Story clock: each reply moves the scene forward, unless the model already set the time itself.
+function advanceStoryClock(explicitCommands = []) {
+    const settings = normalizeAtmosphereSettings({ ...getEffectiveSettings() });
+    if (settings.clockMode !== 'story' || explicitCommands.some((command) => command.command === 'time')) return;
+
+    const current = worldSimulation.getState().timeOfDay;
+    const validation = validateWorldCommand({ command: 'time', args: { hour: advanceClockHour(current, settings.storyHours), advance: true } });
+    if (!validation.ok) return;
+    broadcastCommand(validation.command);
+}
+
+const atmosphereInferenceState = {
+    messageIndex: 0,
+    lastApplied: {},
+    rulesSource: null,
+    rules: [],
+};
 
-    // Regex for commands: /weather [type] or /time [value]
-    // We look for them on their own lines or embedded
-    const weatherMatch = text.match(/\/weather\s+(clear|rainy|foggy)/i);
-    if (weatherMatch) {
-        const weather = weatherMatch[1].toLowerCase();
-        console.log('[World Engine] Detected weather command:', weather);
-        broadcastCommand({ command: 'weather', args: [weather] });
+function resetAtmosphereInference() {
+    atmosphereInferenceState.messageIndex = 0;
+    atmosphereInferenceState.lastApplied = {};
+}
+
+function getAtmosphereRules() {
+    const source = String(getSettings().atmosphereRules ?? '');
+    if (source !== atmosphereInferenceState.rulesSource) {
+        const { rules, errors } = parseAtmosphereRules(source);
+        errors.forEach((error) => console.warn('[World Engine] Ignoring atmosphere rule:', error));
+        atmosphereInferenceState.rulesSource = source;
+        atmosphereInferenceState.rules = rules;
     }
+    return atmosphereInferenceState.rules;
+}
+
+function inferAtmosphereFromNarration(narration, explicitCommands = []) {
+    const settings = getSettings();
+    if (!settings.atmosphereInference || !narration) return;
+
+    atmosphereInferenceState.messageIndex += 1;
+    // Explicit <world> commands from the model always win over inferred ones for the same aspect.
+    const skipGroups = explicitCommands.map((command) => command.command);
+    const { commands, lastApplied } = inferAtmosphereCommands(narration, {
+        rules: getAtmosphereRules(),
+        current: worldSimulation.getState(),
+        messageIndex: atmosphereInferenceState.messageIndex,
+        lastApplied: atmosphereInferenceState.lastApplied,
+        skipGroups,
+    });
+    atmosphereInferenceState.lastApplied = lastApplied;
+
+    commands.forEach(({ command, ruleId, confidence, matches }) => {
+        const validation = validateWorldCommand(command);
+        if (!validation.ok) return;
+        console.log('[World Engine] Inferred world command:', command.command, command.args, { ruleId, confidence, matches });
+        broadcastCommand(validation.command);
+    });
+}
 
-    const timeMatch = text.match(/\/time\s+(\d+(\.\d+)?)/i);
-    if (timeMatch) {
-        const time = parseFloat(timeMatch[1]);
-        console.log('[World Engine] Detected time command:', time);
-        broadcastCommand({ command: 'time', args: [time] });
+function dispatchSlashWorldCommand(command, args) {
+    const validation = validateWorldCommand({ command, args });
+    if (!validation.ok) {
+        return validation.errors.join('; ');
+    }
+    if (!SIMULATED_COMMANDS.includes(command) && !getOpenWorldEngineFrames().length) {
+        return 'Open the World Engine viewer first: only time and weather change while no scene is running.';
     }
+    broadcastCommand(validation.command);
+    return null;
 }
 
 function broadcastCommand(payload, targetFrame = null) {
-    const frames = targetFrame ? [targetFrame] : getWorldEngineFrames();
+    if (!targetFrame) applySimulatedCommand(payload);
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
     frames.forEach((frame) => {
         try {
-            frame.postMessage({
-                source: EXTENSION_NAME,
-                type: 'world-engine-command',
-                payload,
-            }, '*');
+            postToFrame(frame, 'world-engine-command', payload);
         } catch (error) {
             console.warn('[World Engine] Failed to deliver command to frame.', error);
         }
     });
 }
 
-function pushMessageToSillyTavern(text) {
+async function pushMessageToSillyTavern(text) {
     if (!text) return;
 
+    await refreshWorldState();
+
     let finalMessage = text;
-    if (cachedWorldState) {
-        const stateInfo = `\n\n[System Note: World State - Time: ${cachedWorldState.time}, Weather: ${cachedWorldState.weather}, Location: ${cachedWorldState.locationDescription}, Position: (${cachedWorldState.position.x}, ${cachedWorldState.position.y}, ${cachedWorldState.position.z})]`;
-        finalMessage += stateInfo;
-    } else {
+    const noteTemplate = normalizeAtmosphereSettings({ ...getSettings() }).messageNoteTemplate;
+    const noteEnabled = Boolean(noteTemplate.trim());
+    if (noteEnabled && cachedWorldState) {
+        finalMessage += `\n\n${renderPromptTemplate(noteTemplate, buildPromptTemplateValues())}`;
+    } else if (noteEnabled) {
         console.warn('[World Engine] No cached world state available to append. Consider refreshing world state manually.');
     }
 
@@ -507,20 +982,60 @@ function pushMessageToSillyTavern(text) {
 }
 
 function handleFrameChatMessage(event) {
-    const { data } = event || {};
-    if (!data || data.source !== EXTENSION_NAME) return;
+    if (event?.data?.source !== EXTENSION_NAME) return;
 
     const frameInfo = resolveTrackedFrame(event);
     if (!frameInfo) return;
 
+    // Handshakes, responses and malformed messages stop here.
+    const data = hostBridge.receive(event);
+    if (!data) return;
+
     if (data.type === 'world-engine-state') {
-        cachedWorldState = data.payload;
-        updateExtensionAtmospherePrompt();
+        applyWorldStateFromFrame(data.payload);
+        return;
+    }
+
+    if (data.type === 'world-engine-state-diff') {
+        applyWorldStateDiff(data.payload, event.source);
         return;
     }
 
     if (data.type === 'world-engine-interaction') {
-        handleInteraction(data.payload);
+        handleInteraction(data.payload, event.source);
+        return;
+    }
+
+    // The scene can leave edit mode on its own (Escape or its Done button).
+    if (data.type === 'world-engine-edit-mode') {
+        propEditMode = Boolean(data.payload?.enabled);
+        syncPropEditButtons();
+        return;
+    }
+
+    if (data.type === 'world-engine-region') {
+        handleRegionEvent(data.payload);
+        return;
+    }
+
+    if (data.type === 'world-engine-npc') {
+        handleNpcEvent(data.payload);
+        return;
+    }
+
+    if (data.type === 'world-engine-inventory') {
+        handleInventoryEvent(data.payload);
+        return;
+    }
+
+    if (data.type === 'world-engine-objective') {
+        handleObjectiveEvent(data.payload);
+        return;
+    }
+
+    // Re-broadcast so other extensions can play a sound or react to the storm.
+    if (data.type === 'world-engine-thunder') {
+        eventSource.emit(THUNDER_EVENT, data.payload);
         return;
     }
 
@@ -530,19 +1045,177 @@ function handleFrameChatMessage(event) {
     const text = typeof payload.text === 'string' ? payload.text.trim() : '';
     if (!text || payload.direction !== 'outgoing' || !allowAutoreplies()) return;
 
-    pushMessageToSillyTavern(text);
+    void pushMessageToSillyTavern(annotateProximity(text, payload.proximity));
+}
+
+// The scene measures distance and line of sight; the band is recomputed here so a stale frame
+// cannot talk past the configured range.
+function annotateProximity(text, measurement) {
+    const { proximityMode, proximityRange } = normalizeAtmosphereSettings({ ...getSettings() });
+    if (proximityMode === 'off' || !measurement) return text;
+
+    const proximity = classifyProximity(measurement, proximityRange);
+    if (proximityMode === 'limit' && !proximity.audible) {
+        console.warn('[World Engine] Dropped a message sent out of earshot.', proximity);
+        return null;
+    }
+    const note = describeProximity(proximity, { user: getWorldEngineContext()?.name1 || 'User' });
+    return note ? `${text}\n\n[${note}]` : text;
+}
+
+const interactionState = {
+    source: null,
+    actions: [],
+    cooldowns: createInteractionCooldowns(),
+};
+
+function getInteractionActions() {
+    const source = String(getSettings().interactionActions ?? '');
+    if (source !== interactionState.source) {
+        const { actions, errors } = parseInteractionActions(source);
+        errors.forEach((error) => console.warn('[World Engine] Ignoring interaction action:', error));
+        interactionState.source = source;
+        interactionState.actions = actions;
+    }
+    return interactionState.actions;
+}
+
+// The scene only needs what it shows on the wheel; templates and delivery stay with the extension.
+function sendInteractionActions(targetFrame = null) {
+    const actions = getInteractionActions().map(({ id, label, targets, input, effect }) => ({ id, label, targets, input, effect }));
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
+    frames.forEach((frame) => {
+        try {
+            postToFrame(frame, 'world-engine-interactions', { actions });
+        } catch (error) {
+            console.warn('[World Engine] Failed to deliver interaction actions to frame.', error);
+        }
+    });
+}
+
+function sendInteractionResult(frame, result) {
+    try {
+        postToFrame(frame, 'world-engine-interaction-result', result);
+    } catch (error) {
+        console.warn('[World Engine] Failed to deliver interaction result to frame.', error);
+    }
+}
+
+// Mirrors SillyTavern's /sys narrator messages without going through the slash command parser,
+// so the rendered text never needs escaping.
+async function sendNarratorNote(text) {
+    const context = getWorldEngineContext();
+    if (!Array.isArray(context?.chat) || typeof context.addOneMessage !== 'function') {
+        console.warn('[World Engine] This SillyTavern version cannot add narrator notes; sending as a user message instead.');
+        await pushMessageToSillyTavern(text);
+        return;
+    }
+
+    const message = {
+        name: 'System',
+        is_user: false,
+        is_system: false,
+        send_date: Date.now(),
+        mes: text,
+        extra: { type: 'narrator' },
+    };
+    context.chat.push(message);
+    context.addOneMessage(message);
+    await context.saveChat?.();
+}
+
+const INTERACTION_DELIVERY_HANDLERS = {
+    user: (text) => pushMessageToSillyTavern(text),
+    narrator: (text) => sendNarratorNote(text),
+    prompt: (text) => queueSceneNote(text),
+};
+
+function handleInteraction(payload, frame) {
+    const target = payload?.target;
+    const action = getInteractionActions().find((candidate) => candidate.id === payload?.action);
+    if (!action || !target?.kind) {
+        console.warn('[World Engine] Ignoring unknown interaction:', payload?.action);
+        return;
+    }
+    if (payload.chatId && payload.chatId !== getCurrentChatId()) return;
+
+    const key = getInteractionCooldownKey(action.id, target);
+    const remaining = interactionState.cooldowns.remaining(key);
+    if (remaining > 0) {
+        sendInteractionResult(frame, { ok: false, key, message: `${action.label} is ready again in ${Math.ceil(remaining)}s.` });
+        return;
+    }
+
+    const input = typeof payload.input === 'string' ? payload.input.trim().slice(0, INTERACTION_INPUT_MAX_LENGTH) : '';
+    if (action.input && !input) {
+        sendInteractionResult(frame, { ok: false, key, message: action.input });
+        return;
+    }
+
+    const text = renderInteractionMessage(action.template, {
+        user: getWorldEngineContext()?.name1 || 'User',
+        target: String(target.label ?? target.name ?? '').trim() || 'them',
+        input,
+    });
+    Promise.resolve(INTERACTION_DELIVERY_HANDLERS[action.delivery](text))
+        .catch((error) => console.warn('[World Engine] Failed to deliver interaction.', error));
+    interactionState.cooldowns.start(key, action.cooldown);
+    sendInteractionResult(frame, { ok: true, key, action: action.id, cooldown: action.cooldown, effect: action.effect, input });
 }
 
-function handleInteraction(payload) {
-    if (payload?.target === 'avatar' && payload?.action === 'click') {
-        pushMessageToSillyTavern("[System: You touch the avatar on the shoulder.]");
+const objectiveState = {
+    source: null,
+    objectives: [],
+};
+
+function getObjectives() {
+    const source = String(getSettings().objectives ?? '');
+    if (source !== objectiveState.source) {
+        const { objectives, errors } = parseObjectives(source);
+        errors.forEach((error) => console.warn('[World Engine] Ignoring objective:', error));
+        objectiveState.source = source;
+        objectiveState.objectives = objectives;
     }
+    return objectiveState.objectives;
+}
+
+function sendObjectives(targetFrame = null) {
+    const objectives = getSettings().objectivesEnabled ? getObjectives() : [];
+    const frames = targetFrame ? [targetFrame] : getOpenWorldEngineFrames();
+    frames.forEach((frame) => {
+        try {
+            postToFrame(frame, 'world-engine-objectives', { objectives });
+        } catch (error) {
+            console.warn('[World Engine] Failed to deliver objectives to frame.', error);
+        }
+    });
+}
+
+// The scene decides when an objective is done; the message comes from the extension's own table
+// so a frame cannot put arbitrary text into the chat.
+function handleObjectiveEvent(payload) {
+    if (payload?.event !== 'complete' || !getSettings().objectivesEnabled) return;
+    if (payload.chatId && payload.chatId !== getCurrentChatId()) return;
+    const objective = getObjectives().find((candidate) => candidate.id === payload.objective?.id);
+    if (!objective) return;
+
+    eventSource.emit(OBJECTIVE_EVENT, { id: objective.id, title: objective.title, type: objective.type });
+
+    const { objectiveDelivery } = normalizeAtmosphereSettings({ ...getSettings() });
+    const handler = INTERACTION_DELIVERY_HANDLERS[objectiveDelivery];
+    if (!handler) return;
+    const text = renderObjectiveMessage(objective, { user: getWorldEngineContext()?.name1 || 'User' });
+    Promise.resolve(handler(text))
+        .catch((error) => console.warn('[World Engine] Failed to deliver objective message.', error));
 }
 
 function initializeChatIntegration() {
     if (chatIntegrationHandle) return;
 
     window.addEventListener('message', handleFrameChatMessage, false);
+    restoredWorldSnapshot = readChatWorldState(getWorldEngineContext());
+    ensureChatWorldSeed();
+    resetWorldSimulation();
     chatIntegrationHandle = registerSillyTavernIntegration({
         eventSource,
         eventTypes: event_types,
@@ -552,11 +1225,13 @@ function initializeChatIntegration() {
         onMessageFinished: handleMessageFinished,
         onMessageReceived: handleMessageReceivedEvent,
         onMessageSent: handleMessageSentEvent,
-        onChatChanged: () => { void syncChatHistory(); },
+        onChatChanged: handleChatChanged,
         onHistoryChanged: () => {
             resetChatSyncState();
             void syncChatHistory();
         },
+        onGroupMemberDrafted: handleGroupMemberDrafted,
+        onGroupUpdated: () => sendCast(),
     });
 
     if (chatPollTimer) {
@@ -565,10 +1240,11 @@ function initializeChatIntegration() {
     chatPollTimer = window.setInterval(() => { void syncChatHistory(); }, CHAT_SYNC_POLL_INTERVAL);
     void syncChatHistory();
 
-    if (statePollTimer) {
-        clearInterval(statePollTimer);
+    if (simulationTimer) {
+        clearInterval(simulationTimer);
     }
-    statePollTimer = window.setInterval(pollWorldState, STATE_POLL_INTERVAL);
+    lastSimulationTick = performance.now();
+    simulationTimer = window.setInterval(tickWorldSimulation, SIMULATION_TICK_INTERVAL);
     // Register Slash Commands
     const context = getContext();
     if (context.SlashCommandParser && context.SlashCommand) {
@@ -576,26 +1252,129 @@ function initializeChatIntegration() {
             name: 'weather',
             callback: (args, value) => {
                 const weatherType = value?.toString().trim();
-                if (weatherType) {
-                    broadcastCommand({ command: 'weather', args: [weatherType] });
-                    return `Set weather to ${weatherType}`;
+                if (!weatherType) {
+                    return `Please specify a weather type (${WEATHER_PRESETS.join(', ')}), e.g. /weather rainy`;
                 }
-                return 'Please specify a weather type (e.g., /weather rainy)';
+                return dispatchSlashWorldCommand('weather', [weatherType]) ?? `Set weather to ${weatherType.toLowerCase()}`;
             },
-            helpString: 'Sets the weather in the World Engine. Usage: /weather [type]',
+            helpString: `Sets the weather in the World Engine. Usage: /weather [${WEATHER_PRESETS.join('|')}]`,
         }));
 
         context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
             name: 'time',
             callback: (args, value) => {
-                const timeVal = parseFloat(value?.toString().trim());
-                if (!isNaN(timeVal)) {
-                    broadcastCommand({ command: 'time', args: [timeVal] });
-                    return `Set time to ${timeVal}`;
+                const timeVal = value?.toString().trim();
+                if (!timeVal) {
+                    return 'Please specify a time value (0-24) (e.g., /time 12)';
+                }
+                const advance = args?.advance?.toString().trim();
+                const commandArgs = advance ? [timeVal, advance] : [timeVal];
+                return dispatchSlashWorldCommand('time', commandArgs) ?? `Set time to ${timeVal}`;
+            },
+            helpString: 'Sets the time in the World Engine. Usage: /time [advance=true] [0-24]. With advance=true the clock runs forward through the intermediate hours.',
+        }));
+
+        context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
+            name: 'we-spawn',
+            callback: (args, value) => {
+                const text = value?.toString().trim();
+                if (!text) {
+                    return 'Please name the NPC, e.g. /we-spawn Mira at tower';
+                }
+                const [, name, at] = text.match(/^(.+?)\s+at\s+(.+)$/i) ?? [null, text, null];
+                const commandArgs = { name: name.trim(), at: at?.trim() };
+                ['behavior', 'waypoints', 'greeting', 'avatar', 'x', 'z'].forEach((key) => {
+                    const arg = args?.[key]?.toString().trim();
+                    if (arg) commandArgs[key] = arg;
+                });
+                return dispatchSlashWorldCommand('npc', commandArgs) ?? `Spawned ${commandArgs.name}`;
+            },
+            helpString: `Spawns or moves an NPC in the World Engine. Usage: /we-spawn [behavior=${NPC_BEHAVIORS.join('|')}] [waypoints="tower > 4,-6"] [greeting=text] [avatar=/thumbnail?type=avatar&file=name.png] Name [at place]. The place can be a landmark, region, prop, character or "me".`,
+        }));
+
+        context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
+            name: 'we-moveto',
+            callback: (args, value) => {
+                const target = value?.toString().trim();
+                if (!target) {
+                    return 'Please specify where to go, e.g. /we-moveto tower or /we-moveto 4,-6';
+                }
+                const coords = target.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+                const commandArgs = coords ? { x: coords[1], z: coords[2] } : { at: target };
+                const character = args?.character?.toString().trim();
+                if (character) commandArgs.character = character;
+                return dispatchSlashWorldCommand('moveto', commandArgs) ?? `Walking to ${target}`;
+            },
+            helpString: 'Walks a character avatar to a place in the World Engine. Usage: /we-moveto [character=Name] place|x,z. The place can be a landmark, region, prop, NPC, "me" or "pedestal"; without a character the current speaker walks.',
+        }));
+
+        context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
+            name: 'we-follow',
+            callback: (args, value) => {
+                const enabled = value?.toString().trim() || 'on';
+                const commandArgs = { enabled };
+                const radius = args?.radius?.toString().trim();
+                const character = args?.character?.toString().trim();
+                if (radius) commandArgs.radius = radius;
+                if (character) commandArgs.character = character;
+                return dispatchSlashWorldCommand('follow', commandArgs) ?? '';
+            },
+            helpString: 'Makes a character avatar follow you around the World Engine. Usage: /we-follow [character=Name] [radius=5] [on|off]',
+        }));
+
+        context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
+            name: 'we-say',
+            callback: (args, value) => {
+                const text = value?.toString().trim();
+                const name = args?.name?.toString().trim();
+                if (!name || !text) {
+                    return 'Please specify an NPC and what they say, e.g. /we-say name=Mira Hello there!';
+                }
+                return dispatchSlashWorldCommand('say', { name, text }) ?? '';
+            },
+            helpString: 'Shows a speech bubble above an NPC. Usage: /we-say name=Name text',
+        }));
+
+        context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
+            name: 'we-despawn',
+            callback: (args, value) => {
+                const name = value?.toString().trim();
+                if (!name) {
+                    return 'Please name the NPC to remove, e.g. /we-despawn Mira';
+                }
+                return dispatchSlashWorldCommand('despawn', { name }) ?? `Removed ${name}`;
+            },
+            helpString: 'Removes an NPC from the World Engine. Usage: /we-despawn Name',
+        }));
+
+        context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
+            name: 'we-give',
+            callback: (args, value) => {
+                const item = value?.toString().trim();
+                if (!item) {
+                    return 'Please name the item to give, e.g. /we-give quantity=2 type=flower bluebell';
+                }
+                const commandArgs = { item };
+                ['quantity', 'type', 'text'].forEach((key) => {
+                    const arg = args?.[key]?.toString().trim();
+                    if (arg) commandArgs[key] = arg;
+                });
+                return dispatchSlashWorldCommand('give', commandArgs) ?? '';
+            },
+            helpString: 'Puts an item into your World Engine inventory. Usage: /we-give [quantity=1] [type=flower|stone|note|trinket] [text=...] item name',
+        }));
+
+        context.SlashCommandParser.addCommandObject(context.SlashCommand.fromProps({
+            name: 'we-take',
+            callback: (args, value) => {
+                const item = value?.toString().trim();
+                if (!item) {
+                    return 'Please name the item to remove, e.g. /we-take bluebell';
                 }
-                return 'Please specify a time value (0-24) (e.g., /time 12)';
+                const quantity = args?.quantity?.toString().trim();
+                return dispatchSlashWorldCommand('take', quantity ? { item, quantity } : { item }) ?? '';
             },
-            helpString: 'Sets the time in the World Engine. Usage: /time [0-24]',
+            helpString: 'Removes an item from your World Engine inventory. Usage: /we-take [quantity=1] item name',
         }));
     }
 
@@ -605,33 +1384,144 @@ function initializeChatIntegration() {
 
 function pollWorldState() {
     trackRenderedWorldEngineFrames();
-    const frames = getWorldEngineFrames();
+    const frames = getOpenWorldEngineFrames();
     if (frames.length === 0) {
-        console.debug('[World Engine] No frames found for state polling.');
+        console.debug('[World Engine] No frames open; the prompt follows the headless simulation.');
+        updateExtensionAtmospherePrompt();
         return;
     }
     frames.forEach((frame) => {
-        try {
-            // console.debug('[World Engine] Polling state from frame...');
-            frame.postMessage({
-                source: EXTENSION_NAME,
-                type: 'get-world-state',
-            }, '*');
-        } catch (error) {
-            console.warn('[World Engine] Failed to poll state:', error);
-        }
+        requestWorldState(frame).catch((error) => console.warn('[World Engine] Failed to poll state:', error.message));
     });
 }
 
+function applyWorldStateFromFrame(state) {
+    if (!state || typeof state !== 'object') return;
+    cachedWorldState = state;
+    worldSimulation.sync({ timeOfDay: normalizeWorldSnapshot(state.snapshot)?.timeOfDay ?? null, weather: state.weather ?? null });
+    persistWorldStateFromFrame(state);
+    updateExtensionAtmospherePrompt();
+}
+
+// An open viewer runs the world itself and the simulation only follows its reports. Once the last
+// viewer closes the simulation takes over from where it left off, so /weather, /time and the prompt
+// keep working and the next viewer opens on the same sky.
+function resetWorldSimulation() {
+    const settings = normalizeAtmosphereSettings({ ...getEffectiveSettings() });
+    worldSimulation.sync({
+        timeOfDay: restoredWorldSnapshot?.timeOfDay ?? settings.timeOfDay,
+        weather: restoredWorldSnapshot?.weather ?? settings.weather,
+    });
+}
+
+function tickWorldSimulation() {
+    const now = performance.now();
+    const delta = (now - lastSimulationTick) / 1000;
+    lastSimulationTick = now;
+    if (getOpenWorldEngineFrames().length) return;
+
+    // Whatever the closed viewer reported last is no longer current.
+    cachedWorldState = null;
+    // The running clock and random rain stay in memory: saving them would write chat metadata every
+    // in-game hour, even in chats that never used the World Engine. Commands and the controls still save.
+    const { timeChanged, weatherChanged } = worldSimulation.tick(delta, normalizeAtmosphereSettings({ ...getEffectiveSettings() }));
+    if (!timeChanged && !weatherChanged) return;
+    updateExtensionAtmospherePrompt();
+}
+
+function applySimulatedCommand(command) {
+    const settings = normalizeAtmosphereSettings({ ...getEffectiveSettings() });
+    if (!worldSimulation.applyCommand(command, settings) || getOpenWorldEngineFrames().length) return;
+    updateExtensionAtmospherePrompt();
+    persistSimulatedWorld();
+}
+
+// The time slider and weather picker set the world directly, with or without a viewer.
+function applySettingsToSimulation({ timeOfDay, weather }) {
+    worldSimulation.sync({ timeOfDay, weather });
+    if (!getOpenWorldEngineFrames().length) persistSimulatedWorld();
+}
+
+function persistSimulatedWorld() {
+    if (!getCurrentChatId()) return;
+    const snapshot = normalizeWorldSnapshot({ ...restoredWorldSnapshot, ...worldSimulation.getState() });
+    if (writeChatWorldState(getWorldEngineContext(), snapshot)) {
+        lastPersistedWorldState = JSON.stringify(snapshot);
+        restoredWorldSnapshot = snapshot;
+    }
+}
+
+// Diffs only carry the fields that changed since the scene's last update. One that does not follow
+// on from the cached state (another chat, or nothing cached yet) asks that frame for everything.
+function applyWorldStateDiff(payload, frame) {
+    if (!cachedWorldState || (cachedWorldState.chatId ?? null) !== (payload.chatId ?? null)) {
+        requestWorldState(frame).catch((error) => console.warn('[World Engine] Failed to fetch state after a diff:', error.message));
+        return;
+    }
+    console.debug('[World Engine] World state changed:', payload.reasons.join(', '));
+    applyWorldStateFromFrame({ ...cachedWorldState, ...payload.changes, chatId: payload.chatId ?? null });
+}
+
+// Scenes that announced state requests in the handshake answer directly; before the handshake (or
+// from an older scene) the state arrives later as a world-engine-state message.
+async function requestWorldState(frame, options = undefined) {
+    if (!hostBridge.supports(frame, 'state-request')) {
+        postToFrame(frame, 'get-world-state');
+        return null;
+    }
+    const state = await requestFromFrame(frame, 'get-world-state', undefined, options);
+    applyWorldStateFromFrame(state);
+    return state;
+}
+
+// Pushed diffs trail the scene by up to a throttle interval, so anything sent to the model asks the
+// open frames for their state first. A frame that does not answer in time leaves the cache as it was.
+async function refreshWorldState() {
+    const frames = getOpenWorldEngineFrames();
+    const results = await Promise.allSettled(frames.map((frame) => requestWorldState(frame, { timeout: STATE_REFRESH_TIMEOUT })));
+    results.forEach((result) => {
+        if (result.status === 'rejected') console.warn('[World Engine] Failed to refresh state:', result.reason?.message);
+    });
+}
+
+// SillyTavern awaits this before every generation (see generate_interceptor in manifest.json). An open
+// scene is asked for its current state; without one the prompt comes from the headless simulation,
+// since whatever the last scene reported may be long out of date.
+async function prepareWorldPromptForGeneration() {
+    trackRenderedWorldEngineFrames();
+    if (getOpenWorldEngineFrames().length) {
+        await refreshWorldState();
+    } else {
+        cachedWorldState = null;
+    }
+    updateExtensionAtmospherePrompt();
+}
+
+globalThis.worldEngineGenerateInterceptor = async function (_chat, _contextSize, _abort, _type) {
+    try {
+        await prepareWorldPromptForGeneration();
+    } catch (error) {
+        console.warn('[World Engine] Failed to refresh the world prompt before generation.', error);
+    }
+};
+
+function sendBridgeHello(targetFrame) {
+    try {
+        greetFrame(targetFrame);
+    } catch (error) {
+        console.warn('[World Engine] Failed to greet frame.', error);
+    }
+}
+
 function teardownChatIntegration() {
     if (chatPollTimer) {
         clearInterval(chatPollTimer);
         chatPollTimer = null;
     }
 
-    if (statePollTimer) {
-        clearInterval(statePollTimer);
-        statePollTimer = null;
+    if (simulationTimer) {
+        clearInterval(simulationTimer);
+        simulationTimer = null;
     }
 
     if (chatIntegrationHandle) {
@@ -640,6 +1530,7 @@ function teardownChatIntegration() {
     }
 
     window.removeEventListener('message', handleFrameChatMessage, false);
+    hostBridge.dispose();
     resetChatSyncState();
 }
 
@@ -687,7 +1578,7 @@ async function renderWorldEngineTemplate(name, context = {}) {
 
 async function openWorldEnginePopup() {
     const settings = normalizeAtmosphereSettings(getSettings());
-    const viewUrl = buildViewUrl(settings);
+    const viewUrl = buildViewUrl(getEffectiveSettings(settings));
     const template = await renderWorldEngineTemplate('window', { src: viewUrl });
     const dialog = $(template);
     const iframe = dialog.find('#world_engine_iframe')[0];
@@ -695,7 +1586,7 @@ async function openWorldEnginePopup() {
     const iframeError = dialog.find('.world-engine-iframe-error');
     let iframeLoadTimer = null;
 
-    updateExtensionAtmospherePrompt(settings);
+    updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
 
     const clearIframeLoadTimer = () => {
         if (iframeLoadTimer) {
@@ -724,7 +1615,7 @@ async function openWorldEnginePopup() {
         }, IFRAME_LOAD_TIMEOUT_MS);
 
         if (reload) {
-            iframe.src = buildViewUrl(settings);
+            iframe.src = buildViewUrl(getEffectiveSettings(settings));
             trackWorldEngineFrame(iframe);
         }
     };
@@ -734,10 +1625,19 @@ async function openWorldEnginePopup() {
         hideIframeError();
         trackWorldEngineFrame(event.target);
         const frameWindow = event.target?.contentWindow;
-        sendSettingsToFrame(frameWindow, settings);
+        sendBridgeHello(frameWindow);
+        sendSettingsToFrame(frameWindow, getEffectiveSettings(settings));
+        sendCast(frameWindow);
+        sendWorldRestore(frameWindow);
+        sendPropEditMode(frameWindow);
+        sendInteractionActions(frameWindow);
+        sendObjectives(frameWindow);
         void syncChatHistory(frameWindow);
     });
 
+    dialog.on('click', '#world_engine_edit_props', () => setPropEditMode(!propEditMode));
+    syncPropEditButtons(dialog.find('.world-engine-edit-props-button').toArray());
+
     dialog.on('error', '#world_engine_iframe', () => {
         clearIframeLoadTimer();
         showIframeError();
@@ -748,121 +1648,194 @@ async function openWorldEnginePopup() {
         settings.movementSpeed = Math.max(0.1, value);
         dialog.find('#world_engine_speed_value').text(`${settings.movementSpeed.toFixed(1)}x`);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_invert_look', async (event) => {
         settings.invertLook = Boolean(event.target.checked);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_show_instructions', async (event) => {
         settings.showInstructions = Boolean(event.target.checked);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_enable_streaming', async (event) => {
         settings.enableStreaming = Boolean(event.target.checked);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_show_typing_indicator', async (event) => {
         settings.showTypingIndicator = Boolean(event.target.checked);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_enable_autoreplies', async (event) => {
         settings.enableAutoreplies = Boolean(event.target.checked);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_time_of_day', async (event) => {
-        settings.timeOfDay = clampTimeOfDayValue(event.target.value);
-        dialog.find('#world_engine_time_value').text(formatTimeOfDayLabel(settings.timeOfDay));
-        updateExtensionAtmospherePrompt(settings);
+        const timeOfDay = setEnvironmentSetting(settings, 'timeOfDay', clampTimeOfDayValue(event.target.value));
+        dialog.find('#world_engine_time_value').text(formatTimeOfDayLabel(timeOfDay));
+        applySettingsToSimulation(getEffectiveSettings(settings));
+        updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    const syncDialogClockControls = () => {
+        dialog.find('#world_engine_time_of_day').prop('disabled', settings.clockMode === 'realtime');
+        dialog.find('#world_engine_day_length').prop('disabled', settings.clockMode !== 'scaled');
+        dialog.find('#world_engine_story_hours').prop('disabled', settings.clockMode !== 'story');
+    };
+
+    dialog.on('change', '#world_engine_clock_mode', async (event) => {
+        settings.clockMode = CLOCK_MODES.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.clockMode;
+        syncDialogClockControls();
+        updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    dialog.on('input', '#world_engine_day_length', async (event) => {
+        settings.dayLength = clampDayLength(event.target.value);
+        dialog.find('#world_engine_day_length_value').text(formatDayLengthLabel(settings.dayLength));
+        updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    dialog.on('input', '#world_engine_story_hours', async (event) => {
+        settings.storyHours = clampStoryHours(event.target.value);
+        dialog.find('#world_engine_story_hours_value').text(formatStoryHoursLabel(settings.storyHours));
+        updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
+        await persistSettings();
+    });
+
+    dialog.on('change', '#world_engine_water_behavior', async (event) => {
+        settings.waterBehavior = WATER_BEHAVIORS.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.waterBehavior;
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    dialog.on('change', '#world_engine_proximity_mode', async (event) => {
+        settings.proximityMode = PROXIMITY_MODES.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.proximityMode;
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    dialog.on('input', '#world_engine_proximity_range', async (event) => {
+        settings.proximityRange = clampProximityRange(event.target.value);
+        dialog.find('#world_engine_proximity_range_value').text(formatProximityRangeLabel(settings.proximityRange));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_weather', async (event) => {
-        settings.weather = normalizeWeatherValue(event.target.value);
-        updateExtensionAtmospherePrompt(settings);
+        setEnvironmentSetting(settings, 'weather', normalizeWeatherValue(event.target.value));
+        applySettingsToSimulation(getEffectiveSettings(settings));
+        updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_fov', async (event) => {
         settings.cameraFov = clampFovValue(event.target.value);
         dialog.find('#world_engine_fov_value').text(formatFovLabel(settings.cameraFov));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_sensitivity', async (event) => {
         settings.mouseSensitivity = clampMouseSensitivity(event.target.value);
         dialog.find('#world_engine_sensitivity_value').text(formatSensitivityLabel(settings.mouseSensitivity));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_render_scale', async (event) => {
         settings.renderScale = clampRenderScale(event.target.value);
         dialog.find('#world_engine_render_scale_value').text(formatRenderScaleLabel(settings.renderScale));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_shadows', async (event) => {
         settings.shadowsEnabled = Boolean(event.target.checked);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_show_chat_bubble', async (event) => {
         settings.showChatBubbles = Boolean(event.target.checked);
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_rain_intensity', async (event) => {
         settings.rainIntensity = clampRainIntensity(event.target.value);
         dialog.find('#world_engine_rain_intensity_value').text(formatWeatherScalarLabel(settings.rainIntensity));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('change', '#world_engine_enable_clouds', async (event) => {
-        settings.cloudsEnabled = Boolean(event.target.checked);
+        setEnvironmentSetting(settings, 'cloudsEnabled', Boolean(event.target.checked));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_cloud_density', async (event) => {
-        settings.cloudDensity = clampCloudDensity(event.target.value);
-        dialog.find('#world_engine_cloud_density_value').text(formatWeatherScalarLabel(settings.cloudDensity));
+        const cloudDensity = setEnvironmentSetting(settings, 'cloudDensity', clampCloudDensity(event.target.value));
+        dialog.find('#world_engine_cloud_density_value').text(formatWeatherScalarLabel(cloudDensity));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_cloud_speed', async (event) => {
-        settings.cloudSpeed = clampCloudSpeed(event.target.value);
-        dialog.find('#world_engine_cloud_speed_value').text(formatWeatherScalarLabel(settings.cloudSpeed));
+        const cloudSpeed = setEnvironmentSetting(settings, 'cloudSpeed', clampCloudSpeed(event.target.value));
+        dialog.find('#world_engine_cloud_speed_value').text(formatWeatherScalarLabel(cloudSpeed));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
     dialog.on('input', '#world_engine_fog_density', async (event) => {
-        settings.fogDensity = clampFogDensity(event.target.value);
-        dialog.find('#world_engine_fog_density_value').text(formatWeatherScalarLabel(settings.fogDensity));
+        const fogDensity = setEnvironmentSetting(settings, 'fogDensity', clampFogDensity(event.target.value));
+        dialog.find('#world_engine_fog_density_value').text(formatWeatherScalarLabel(fogDensity));
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    dialog.on('input', '#world_engine_wind_strength', async (event) => {
+        const windStrength = setEnvironmentSetting(settings, 'windStrength', clampWindStrength(event.target.value));
+        dialog.find('#world_engine_wind_strength_value').text(formatWeatherScalarLabel(windStrength));
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    dialog.on('input', '#world_engine_wind_direction', async (event) => {
+        const windDirection = setEnvironmentSetting(settings, 'windDirection', clampWindDirection(event.target.value));
+        dialog.find('#world_engine_wind_direction_value').text(formatWindDirectionLabel(windDirection));
+        await persistSettings();
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
+    });
+
+    dialog.on('input', '#world_engine_transition_seconds', async (event) => {
+        settings.transitionSeconds = clampTransitionSeconds(event.target.value);
+        dialog.find('#world_engine_transition_seconds_value').text(formatTransitionLabel(settings.transitionSeconds));
         await persistSettings();
-        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, settings);
+        sendSettingsToFrame(dialog.find('#world_engine_iframe')[0]?.contentWindow, getEffectiveSettings(settings));
     });
 
+    // Pinned character world values are the ones in effect, and the ones the handlers above edit
+    const environment = getEffectiveSettings(settings);
     dialog.find('#world_engine_speed').val(settings.movementSpeed);
     dialog.find('#world_engine_speed_value').text(`${settings.movementSpeed.toFixed(1)}x`);
     dialog.find('#world_engine_invert_look').prop('checked', settings.invertLook);
@@ -870,9 +1843,19 @@ async function openWorldEnginePopup() {
     dialog.find('#world_engine_enable_streaming').prop('checked', settings.enableStreaming);
     dialog.find('#world_engine_show_typing_indicator').prop('checked', settings.showTypingIndicator);
     dialog.find('#world_engine_enable_autoreplies').prop('checked', settings.enableAutoreplies);
-    dialog.find('#world_engine_time_of_day').val(settings.timeOfDay);
-    dialog.find('#world_engine_time_value').text(formatTimeOfDayLabel(settings.timeOfDay));
-    dialog.find('#world_engine_weather').val(settings.weather);
+    dialog.find('#world_engine_time_of_day').val(environment.timeOfDay);
+    dialog.find('#world_engine_time_value').text(formatTimeOfDayLabel(environment.timeOfDay));
+    dialog.find('#world_engine_clock_mode').val(settings.clockMode);
+    dialog.find('#world_engine_day_length').val(settings.dayLength);
+    dialog.find('#world_engine_day_length_value').text(formatDayLengthLabel(settings.dayLength));
+    dialog.find('#world_engine_story_hours').val(settings.storyHours);
+    dialog.find('#world_engine_story_hours_value').text(formatStoryHoursLabel(settings.storyHours));
+    syncDialogClockControls();
+    dialog.find('#world_engine_weather').val(environment.weather);
+    dialog.find('#world_engine_water_behavior').val(settings.waterBehavior);
+    dialog.find('#world_engine_proximity_mode').val(settings.proximityMode);
+    dialog.find('#world_engine_proximity_range').val(settings.proximityRange);
+    dialog.find('#world_engine_proximity_range_value').text(formatProximityRangeLabel(settings.proximityRange));
     dialog.find('#world_engine_fov').val(settings.cameraFov);
     dialog.find('#world_engine_fov_value').text(formatFovLabel(settings.cameraFov));
     dialog.find('#world_engine_sensitivity').val(settings.mouseSensitivity);
@@ -883,8 +1866,14 @@ async function openWorldEnginePopup() {
     dialog.find('#world_engine_show_chat_bubble').prop('checked', settings.showChatBubbles);
     dialog.find('#world_engine_rain_intensity').val(settings.rainIntensity);
     dialog.find('#world_engine_rain_intensity_value').text(formatWeatherScalarLabel(settings.rainIntensity));
-    dialog.find('#world_engine_fog_density').val(settings.fogDensity);
-    dialog.find('#world_engine_fog_density_value').text(formatWeatherScalarLabel(settings.fogDensity));
+    dialog.find('#world_engine_fog_density').val(environment.fogDensity);
+    dialog.find('#world_engine_fog_density_value').text(formatWeatherScalarLabel(environment.fogDensity));
+    dialog.find('#world_engine_wind_strength').val(environment.windStrength);
+    dialog.find('#world_engine_wind_strength_value').text(formatWeatherScalarLabel(environment.windStrength));
+    dialog.find('#world_engine_wind_direction').val(environment.windDirection);
+    dialog.find('#world_engine_wind_direction_value').text(formatWindDirectionLabel(environment.windDirection));
+    dialog.find('#world_engine_transition_seconds').val(settings.transitionSeconds);
+    dialog.find('#world_engine_transition_seconds_value').text(formatTransitionLabel(settings.transitionSeconds));
 
     dialog.on('click', '.world-engine-retry-button', (event) => {
         event.preventDefault();
@@ -900,6 +1889,115 @@ function getSettings() {
     return ensureSettings(extension_settings);
 }
 
+function getCharacterWorldKey(ctx = getWorldEngineContext()) {
+    if (ctx?.groupId) return `group:${ctx.groupId}`;
+    const character = ctx?.characters?.[ctx?.characterId];
+    return character?.avatar ? `char:${character.avatar}` : null;
+}
+
+function getCharacterWorldName(ctx = getWorldEngineContext()) {
+    if (ctx?.groupId) {
+        return ctx.groups?.find?.((group) => group.id === ctx.groupId)?.name ?? 'this group';
+    }
+    return ctx?.characters?.[ctx?.characterId]?.name ?? ctx?.name2 ?? 'this character';
+}
+
+function getCharacterWorld(key = getCharacterWorldKey()) {
+    if (!key) return null;
+    return getSettings().characterWorlds?.[key] ?? null;
+}
+
+// Global settings with the active character's pinned environment layered on top.
+function getEffectiveSettings(baseSettings = getSettings()) {
+    const effective = applyCharacterWorld(baseSettings, getCharacterWorld());
+    const chatSeed = effective.perChatSeed ? restoredWorldSnapshot?.seed : null;
+    return chatSeed ? { ...effective, worldSeed: chatSeed } : effective;
+}
+
+// While a character world is pinned its fields win over the global ones, so edits to them go into the
+// pinned world instead of vanishing underneath it.
+function setEnvironmentSetting(settings, field, value) {
+    const key = getCharacterWorldKey();
+    const pinned = key ? settings.characterWorlds?.[key] : null;
+    if (pinned && CHARACTER_WORLD_FIELDS.includes(field) && pinned[field] !== undefined) {
+        settings.characterWorlds = { ...settings.characterWorlds, [key]: { ...pinned, [field]: value } };
+    } else {
+        settings[field] = value;
+    }
+    return value;
+}
+
+// Chats opened with per-chat seeds enabled get their own seed, saved next to the chat's world state.
+function ensureChatWorldSeed() {
+    const settings = getSettings();
+    if (!settings.perChatSeed || !getCurrentChatId() || restoredWorldSnapshot?.seed) return false;
+
+    const base = restoredWorldSnapshot ?? { timeOfDay: settings.timeOfDay, weather: settings.weather };
+    const snapshot = normalizeWorldSnapshot({ ...base, seed: generateWorldSeed() });
+    if (!writeChatWorldState(getWorldEngineContext(), snapshot)) return false;
+    restoredWorldSnapshot = snapshot;
+    console.info('[World Engine] Generated a world seed for this chat.', { seed: snapshot.seed });
+    return true;
+}
+
+async function saveCharacterWorld() {
+    const key = getCharacterWorldKey();
+    if (!key) return false;
+
+    const settings = getSettings();
+    const effective = normalizeAtmosphereSettings({ ...getEffectiveSettings(settings) });
+    const liveSnapshot = normalizeWorldSnapshot(cachedWorldState?.snapshot);
+    const characterWorld = pickCharacterWorldFields({
+        ...effective,
+        timeOfDay: liveSnapshot?.timeOfDay ?? effective.timeOfDay,
+        weather: normalizeWeatherValue(liveSnapshot?.weather ?? effective.weather),
+    });
+
+    settings.characterWorlds = {
+        ...(settings.characterWorlds ?? {}),
+        [key]: { ...characterWorld, name: getCharacterWorldName() },
+    };
+    await persistSettings();
+    refreshCharacterWorldStatus();
+    console.info('[World Engine] Saved character world.', { key, characterWorld });
+    return true;
+}
+
+async function clearCharacterWorld() {
+    const key = getCharacterWorldKey();
+    const settings = getSettings();
+    if (!key || !settings.characterWorlds?.[key]) return false;
+
+    const { [key]: _removed, ...remaining } = settings.characterWorlds;
+    settings.characterWorlds = remaining;
+    await persistSettings();
+
+    const effective = getEffectiveSettings(settings);
+    updateExtensionAtmospherePrompt(effective);
+    getOpenWorldEngineFrames().forEach((frame) => sendSettingsToFrame(frame, effective));
+    sendWorldFile(effective.worldFile);
+    refreshCharacterWorldStatus();
+    return true;
+}
+
+function refreshCharacterWorldStatus() {
+    // Switching characters, or pinning and clearing a world, changes which values the controls edit
+    syncSettingsPanelControls?.();
+    const status = document.getElementById('world_engine_character_world_status');
+    const saveButton = document.getElementById('world_engine_save_character_world');
+    const clearButton = document.getElementById('world_engine_clear_character_world');
+    const key = getCharacterWorldKey();
+    const characterWorld = getCharacterWorld(key);
+
+    if (status) {
+        status.textContent = !key
+            ? 'No character selected'
+            : characterWorld ? `Pinned for ${characterWorld.name || getCharacterWorldName()}` : 'Using defaults';
+    }
+    if (saveButton) saveButton.disabled = !key;
+    if (clearButton) clearButton.disabled = !characterWorld;
+}
+
 async function ensureSettingsPanel() {
     const existingRoot = document.getElementById(SETTINGS_ROOT_ID);
     if (existingRoot) {
@@ -933,7 +2031,7 @@ function setupSettingsPanel(root) {
     if (!root || root.dataset.initialized === 'true') return;
 
     const settings = normalizeAtmosphereSettings(getSettings());
-    updateExtensionAtmospherePrompt(settings);
+    updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
     const iframe = root.querySelector('#world_engine_iframe');
     trackWorldEngineFrame(iframe);
     const iframeWrapper = root.querySelector('.world-engine-iframe-wrapper');
@@ -943,7 +2041,21 @@ function setupSettingsPanel(root) {
     const speedValue = root.querySelector('#world_engine_speed_value');
     const timeSlider = root.querySelector('#world_engine_time_of_day');
     const timeValue = root.querySelector('#world_engine_time_value');
+    const clockModeSelect = root.querySelector('#world_engine_clock_mode');
+    const dayLengthSlider = root.querySelector('#world_engine_day_length');
+    const dayLengthValue = root.querySelector('#world_engine_day_length_value');
+    const storyHoursSlider = root.querySelector('#world_engine_story_hours');
+    const storyHoursValue = root.querySelector('#world_engine_story_hours_value');
     const weatherSelect = root.querySelector('#world_engine_weather');
+    const worldFileInput = root.querySelector('#world_engine_world_file');
+    const worldSeedInput = root.querySelector('#world_engine_world_seed');
+    const worldSeedRandomButton = root.querySelector('#world_engine_world_seed_random');
+    const perChatSeedCheckbox = root.querySelector('#world_engine_per_chat_seed');
+    const castArrangementSelect = root.querySelector('#world_engine_cast_arrangement');
+    const waterBehaviorSelect = root.querySelector('#world_engine_water_behavior');
+    const proximityModeSelect = root.querySelector('#world_engine_proximity_mode');
+    const proximityRangeSlider = root.querySelector('#world_engine_proximity_range');
+    const proximityRangeValue = root.querySelector('#world_engine_proximity_range_value');
     const fovSlider = root.querySelector('#world_engine_fov');
     const fovValue = root.querySelector('#world_engine_fov_value');
     const sensitivitySlider = root.querySelector('#world_engine_sensitivity');
@@ -957,16 +2069,46 @@ function setupSettingsPanel(root) {
     const typingIndicatorCheckbox = root.querySelector('#world_engine_show_typing_indicator');
     const autorepliesCheckbox = root.querySelector('#world_engine_enable_autoreplies');
     const chatBubbleCheckbox = root.querySelector('#world_engine_show_chat_bubble');
+    const atmosphereInferenceCheckbox = root.querySelector('#world_engine_atmosphere_inference');
+    const atmosphereRulesInput = root.querySelector('#world_engine_atmosphere_rules');
+    const atmosphereRulesError = root.querySelector('#world_engine_atmosphere_rules_error');
+    const atmosphereRulesDefaultsButton = root.querySelector('#world_engine_atmosphere_rules_defaults');
+    const interactionActionsInput = root.querySelector('#world_engine_interaction_actions');
+    const interactionActionsError = root.querySelector('#world_engine_interaction_actions_error');
+    const interactionActionsDefaultsButton = root.querySelector('#world_engine_interaction_actions_defaults');
+    const objectivesCheckbox = root.querySelector('#world_engine_objectives_enabled');
+    const objectiveDeliverySelect = root.querySelector('#world_engine_objective_delivery');
+    const objectivesInput = root.querySelector('#world_engine_objectives');
+    const objectivesError = root.querySelector('#world_engine_objectives_error');
+    const objectivesDefaultsButton = root.querySelector('#world_engine_objectives_defaults');
+    const promptTemplateInput = root.querySelector('#world_engine_prompt_template');
+    const promptPositionSelect = root.querySelector('#world_engine_prompt_position');
+    const promptDepthInput = root.querySelector('#world_engine_prompt_depth');
+    const promptRoleSelect = root.querySelector('#world_engine_prompt_role');
+    const promptOnlyOnChangeCheckbox = root.querySelector('#world_engine_prompt_only_on_change');
+    const messageNoteTemplateInput = root.querySelector('#world_engine_message_note_template');
+    const promptTemplateDefaultsButton = root.querySelector('#world_engine_prompt_template_defaults');
+    const regionNotesCheckbox = root.querySelector('#world_engine_region_notes');
+    const regionLorebookCheckbox = root.querySelector('#world_engine_region_lorebook');
     const rainIntensitySlider = root.querySelector('#world_engine_rain_intensity');
     const rainIntensityValue = root.querySelector('#world_engine_rain_intensity_value');
     const fogDensitySlider = root.querySelector('#world_engine_fog_density');
     const fogDensityValue = root.querySelector('#world_engine_fog_density_value');
+    const windStrengthSlider = root.querySelector('#world_engine_wind_strength');
+    const windStrengthValue = root.querySelector('#world_engine_wind_strength_value');
+    const windDirectionSlider = root.querySelector('#world_engine_wind_direction');
+    const windDirectionValue = root.querySelector('#world_engine_wind_direction_value');
+    const transitionSlider = root.querySelector('#world_engine_transition_seconds');
+    const transitionValue = root.querySelector('#world_engine_transition_seconds_value');
     const cloudsToggle = root.querySelector('#world_engine_enable_clouds');
     const cloudDensitySlider = root.querySelector('#world_engine_cloud_density');
     const cloudDensityValue = root.querySelector('#world_engine_cloud_density_value');
     const cloudSpeedSlider = root.querySelector('#world_engine_cloud_speed');
     const cloudSpeedValue = root.querySelector('#world_engine_cloud_speed_value');
     const refreshStateButton = root.querySelector('#world_engine_refresh_state');
+    const editPropsButton = root.querySelector('#world_engine_edit_props');
+    const saveCharacterWorldButton = root.querySelector('#world_engine_save_character_world');
+    const clearCharacterWorldButton = root.querySelector('#world_engine_clear_character_world');
     const maximizeButton = root.querySelector('#world_engine_maximize');
     const maximizeIcon = maximizeButton?.querySelector('.fa-solid');
     const maximizeLabel = maximizeButton?.querySelector('.world-engine-maximize-label');
@@ -1003,11 +2145,12 @@ function setupSettingsPanel(root) {
             showIframeError();
         }, IFRAME_LOAD_TIMEOUT_MS);
 
-        iframe.src = buildViewUrl(settings);
+        iframe.src = buildViewUrl(getEffectiveSettings(settings));
         trackWorldEngineFrame(iframe);
     };
 
     const syncControls = () => {
+        const environment = getEffectiveSettings(settings);
         if (speedInput) speedInput.value = settings.movementSpeed;
         if (speedValue) speedValue.textContent = `${settings.movementSpeed.toFixed(1)}x`;
         if (invertCheckbox) invertCheckbox.checked = Boolean(settings.invertLook);
@@ -1017,9 +2160,48 @@ function setupSettingsPanel(root) {
         if (typingIndicatorCheckbox) typingIndicatorCheckbox.checked = Boolean(settings.showTypingIndicator);
         if (autorepliesCheckbox) autorepliesCheckbox.checked = Boolean(settings.enableAutoreplies);
         if (chatBubbleCheckbox) chatBubbleCheckbox.checked = Boolean(settings.showChatBubbles);
-        if (timeSlider) timeSlider.value = settings.timeOfDay;
-        if (timeValue) timeValue.textContent = formatTimeOfDayLabel(settings.timeOfDay);
-        if (weatherSelect) weatherSelect.value = settings.weather;
+        if (atmosphereInferenceCheckbox) atmosphereInferenceCheckbox.checked = Boolean(settings.atmosphereInference);
+        if (atmosphereRulesInput) atmosphereRulesInput.value = settings.atmosphereRules || '';
+        if (interactionActionsInput) interactionActionsInput.value = settings.interactionActions || '';
+        if (objectivesCheckbox) objectivesCheckbox.checked = Boolean(settings.objectivesEnabled);
+        if (objectiveDeliverySelect) objectiveDeliverySelect.value = settings.objectiveDelivery;
+        if (objectivesInput) objectivesInput.value = settings.objectives || '';
+        if (promptTemplateInput) promptTemplateInput.value = settings.promptTemplate;
+        if (promptPositionSelect) promptPositionSelect.value = settings.promptPosition;
+        if (promptDepthInput) {
+            promptDepthInput.value = settings.promptDepth;
+            promptDepthInput.disabled = settings.promptPosition !== 'in_chat';
+        }
+        if (promptRoleSelect) promptRoleSelect.value = settings.promptRole;
+        if (promptOnlyOnChangeCheckbox) promptOnlyOnChangeCheckbox.checked = Boolean(settings.promptOnlyOnChange);
+        if (messageNoteTemplateInput) messageNoteTemplateInput.value = settings.messageNoteTemplate;
+        if (regionNotesCheckbox) regionNotesCheckbox.checked = Boolean(settings.regionNotes);
+        if (regionLorebookCheckbox) regionLorebookCheckbox.checked = Boolean(settings.regionNotesScanLorebook);
+        if (timeSlider) {
+            timeSlider.value = environment.timeOfDay;
+            timeSlider.disabled = settings.clockMode === 'realtime';
+        }
+        if (timeValue) timeValue.textContent = formatTimeOfDayLabel(environment.timeOfDay);
+        if (clockModeSelect) clockModeSelect.value = settings.clockMode;
+        if (dayLengthSlider) {
+            dayLengthSlider.value = settings.dayLength;
+            dayLengthSlider.disabled = settings.clockMode !== 'scaled';
+        }
+        if (dayLengthValue) dayLengthValue.textContent = formatDayLengthLabel(settings.dayLength);
+        if (storyHoursSlider) {
+            storyHoursSlider.value = settings.storyHours;
+            storyHoursSlider.disabled = settings.clockMode !== 'story';
+        }
+        if (storyHoursValue) storyHoursValue.textContent = formatStoryHoursLabel(settings.storyHours);
+        if (weatherSelect) weatherSelect.value = environment.weather;
+        if (worldFileInput) worldFileInput.value = environment.worldFile || '';
+        if (worldSeedInput) worldSeedInput.value = (getCharacterWorld()?.worldSeed ?? settings.worldSeed) || '';
+        if (perChatSeedCheckbox) perChatSeedCheckbox.checked = Boolean(settings.perChatSeed);
+        if (castArrangementSelect) castArrangementSelect.value = settings.castArrangement;
+        if (waterBehaviorSelect) waterBehaviorSelect.value = settings.waterBehavior;
+        if (proximityModeSelect) proximityModeSelect.value = settings.proximityMode;
+        if (proximityRangeSlider) proximityRangeSlider.value = settings.proximityRange;
+        if (proximityRangeValue) proximityRangeValue.textContent = formatProximityRangeLabel(settings.proximityRange);
         if (fovSlider) fovSlider.value = settings.cameraFov;
         if (fovValue) fovValue.textContent = formatFovLabel(settings.cameraFov);
         if (sensitivitySlider) sensitivitySlider.value = settings.mouseSensitivity;
@@ -1028,19 +2210,27 @@ function setupSettingsPanel(root) {
         if (renderScaleValue) renderScaleValue.textContent = formatRenderScaleLabel(settings.renderScale);
         if (rainIntensitySlider) rainIntensitySlider.value = settings.rainIntensity;
         if (rainIntensityValue) rainIntensityValue.textContent = formatWeatherScalarLabel(settings.rainIntensity);
-        if (fogDensitySlider) fogDensitySlider.value = settings.fogDensity;
-        if (fogDensityValue) fogDensityValue.textContent = formatWeatherScalarLabel(settings.fogDensity);
-        if (cloudsToggle) cloudsToggle.checked = Boolean(settings.cloudsEnabled);
-        if (cloudDensitySlider) cloudDensitySlider.value = settings.cloudDensity;
-        if (cloudDensityValue) cloudDensityValue.textContent = formatWeatherScalarLabel(settings.cloudDensity);
-        if (cloudSpeedSlider) cloudSpeedSlider.value = settings.cloudSpeed;
-        if (cloudSpeedValue) cloudSpeedValue.textContent = formatWeatherScalarLabel(settings.cloudSpeed);
+        if (fogDensitySlider) fogDensitySlider.value = environment.fogDensity;
+        if (fogDensityValue) fogDensityValue.textContent = formatWeatherScalarLabel(environment.fogDensity);
+        if (windStrengthSlider) windStrengthSlider.value = environment.windStrength;
+        if (windStrengthValue) windStrengthValue.textContent = formatWeatherScalarLabel(environment.windStrength);
+        if (windDirectionSlider) windDirectionSlider.value = environment.windDirection;
+        if (windDirectionValue) windDirectionValue.textContent = formatWindDirectionLabel(environment.windDirection);
+        if (transitionSlider) transitionSlider.value = settings.transitionSeconds;
+        if (transitionValue) transitionValue.textContent = formatTransitionLabel(settings.transitionSeconds);
+        if (cloudsToggle) cloudsToggle.checked = Boolean(environment.cloudsEnabled);
+        if (cloudDensitySlider) cloudDensitySlider.value = environment.cloudDensity;
+        if (cloudDensityValue) cloudDensityValue.textContent = formatWeatherScalarLabel(environment.cloudDensity);
+        if (cloudSpeedSlider) cloudSpeedSlider.value = environment.cloudSpeed;
+        if (cloudSpeedValue) cloudSpeedValue.textContent = formatWeatherScalarLabel(environment.cloudSpeed);
     };
+    syncSettingsPanelControls = syncControls;
 
     const pushSettingsToFrame = async () => {
-        updateExtensionAtmospherePrompt(settings);
+        updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
         await persistSettings();
-        sendSettingsToFrame(iframe?.contentWindow, settings);
+        // Until the world is started the panel's iframe is blank and has nothing to receive them
+        if (getFrameTargetOrigin(iframe?.contentWindow)) sendSettingsToFrame(iframe.contentWindow, getEffectiveSettings(settings));
     };
 
     const moveWrapperToBody = () => {
@@ -1151,14 +2341,215 @@ function setupSettingsPanel(root) {
         pushSettingsToFrame();
     });
 
+    const showAtmosphereRuleErrors = (source) => {
+        const { errors } = parseAtmosphereRules(source);
+        if (!atmosphereRulesError) return;
+        atmosphereRulesError.textContent = errors.join('\n');
+        atmosphereRulesError.classList.toggle('is-hidden', !errors.length);
+    };
+
+    atmosphereInferenceCheckbox?.addEventListener('change', async (event) => {
+        settings.atmosphereInference = Boolean(event.target.checked);
+        resetAtmosphereInference();
+        await persistSettings();
+    });
+
+    atmosphereRulesInput?.addEventListener('change', async (event) => {
+        settings.atmosphereRules = String(event.target.value || '');
+        showAtmosphereRuleErrors(settings.atmosphereRules);
+        await persistSettings();
+    });
+
+    atmosphereRulesDefaultsButton?.addEventListener('click', async () => {
+        settings.atmosphereRules = JSON.stringify(DEFAULT_ATMOSPHERE_RULES, null, 2);
+        if (atmosphereRulesInput) atmosphereRulesInput.value = settings.atmosphereRules;
+        showAtmosphereRuleErrors(settings.atmosphereRules);
+        await persistSettings();
+    });
+
+    const showInteractionActionErrors = (source) => {
+        const { errors } = parseInteractionActions(source);
+        if (!interactionActionsError) return;
+        interactionActionsError.textContent = errors.join('\n');
+        interactionActionsError.classList.toggle('is-hidden', !errors.length);
+    };
+
+    interactionActionsInput?.addEventListener('change', async (event) => {
+        settings.interactionActions = String(event.target.value || '');
+        showInteractionActionErrors(settings.interactionActions);
+        sendInteractionActions();
+        await persistSettings();
+    });
+
+    interactionActionsDefaultsButton?.addEventListener('click', async () => {
+        settings.interactionActions = JSON.stringify(DEFAULT_INTERACTION_ACTIONS, null, 2);
+        if (interactionActionsInput) interactionActionsInput.value = settings.interactionActions;
+        showInteractionActionErrors(settings.interactionActions);
+        sendInteractionActions();
+        await persistSettings();
+    });
+
+    const showObjectiveErrors = (source) => {
+        const { errors } = parseObjectives(source);
+        if (!objectivesError) return;
+        objectivesError.textContent = errors.join('\n');
+        objectivesError.classList.toggle('is-hidden', !errors.length);
+    };
+
+    objectivesCheckbox?.addEventListener('change', async (event) => {
+        settings.objectivesEnabled = Boolean(event.target.checked);
+        sendObjectives();
+        await persistSettings();
+    });
+
+    objectiveDeliverySelect?.addEventListener('change', async (event) => {
+        settings.objectiveDelivery = OBJECTIVE_DELIVERIES.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.objectiveDelivery;
+        await persistSettings();
+    });
+
+    objectivesInput?.addEventListener('change', async (event) => {
+        settings.objectives = String(event.target.value || '');
+        showObjectiveErrors(settings.objectives);
+        sendObjectives();
+        await persistSettings();
+    });
+
+    objectivesDefaultsButton?.addEventListener('click', async () => {
+        settings.objectives = JSON.stringify(DEFAULT_OBJECTIVES, null, 2);
+        if (objectivesInput) objectivesInput.value = settings.objectives;
+        showObjectiveErrors(settings.objectives);
+        sendObjectives();
+        await persistSettings();
+    });
+
+    const applyPromptSettings = async () => {
+        normalizeAtmosphereSettings(settings);
+        syncControls();
+        updateExtensionAtmospherePrompt(getEffectiveSettings(settings));
+        await persistSettings();
+    };
+
+    promptTemplateInput?.addEventListener('change', async (event) => {
+        settings.promptTemplate = String(event.target.value ?? '');
+        await applyPromptSettings();
+    });
+
+    promptPositionSelect?.addEventListener('change', async (event) => {
+        settings.promptPosition = event.target.value;
+        await applyPromptSettings();
+    });
+
+    promptDepthInput?.addEventListener('change', async (event) => {
+        settings.promptDepth = event.target.value;
+        await applyPromptSettings();
+    });
+
+    promptRoleSelect?.addEventListener('change', async (event) => {
+        settings.promptRole = event.target.value;
+        await applyPromptSettings();
+    });
+
+    promptOnlyOnChangeCheckbox?.addEventListener('change', async (event) => {
+        settings.promptOnlyOnChange = Boolean(event.target.checked);
+        await applyPromptSettings();
+    });
+
+    messageNoteTemplateInput?.addEventListener('change', async (event) => {
+        settings.messageNoteTemplate = String(event.target.value ?? '');
+        await applyPromptSettings();
+    });
+
+    promptTemplateDefaultsButton?.addEventListener('click', async () => {
+        settings.promptTemplate = DEFAULT_PROMPT_TEMPLATE;
+        settings.messageNoteTemplate = DEFAULT_MESSAGE_NOTE_TEMPLATE;
+        await applyPromptSettings();
+    });
+
+    regionNotesCheckbox?.addEventListener('change', async (event) => {
+        settings.regionNotes = Boolean(event.target.checked);
+        if (!settings.regionNotes) clearRegionNotes();
+        await persistSettings();
+    });
+
+    regionLorebookCheckbox?.addEventListener('change', async (event) => {
+        settings.regionNotesScanLorebook = Boolean(event.target.checked);
+        updateRegionNotePrompt();
+        await persistSettings();
+    });
+
     timeSlider?.addEventListener('input', (event) => {
-        settings.timeOfDay = clampTimeOfDayValue(event.target.value);
-        if (timeValue) timeValue.textContent = formatTimeOfDayLabel(settings.timeOfDay);
+        const timeOfDay = setEnvironmentSetting(settings, 'timeOfDay', clampTimeOfDayValue(event.target.value));
+        if (timeValue) timeValue.textContent = formatTimeOfDayLabel(timeOfDay);
+        applySettingsToSimulation(getEffectiveSettings(settings));
         pushSettingsToFrame();
     });
 
     weatherSelect?.addEventListener('change', (event) => {
-        settings.weather = normalizeWeatherValue(event.target.value);
+        setEnvironmentSetting(settings, 'weather', normalizeWeatherValue(event.target.value));
+        applySettingsToSimulation(getEffectiveSettings(settings));
+        pushSettingsToFrame();
+    });
+
+    clockModeSelect?.addEventListener('change', (event) => {
+        settings.clockMode = CLOCK_MODES.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.clockMode;
+        syncControls();
+        pushSettingsToFrame();
+    });
+
+    dayLengthSlider?.addEventListener('input', (event) => {
+        settings.dayLength = clampDayLength(event.target.value);
+        if (dayLengthValue) dayLengthValue.textContent = formatDayLengthLabel(settings.dayLength);
+        pushSettingsToFrame();
+    });
+
+    storyHoursSlider?.addEventListener('input', (event) => {
+        settings.storyHours = clampStoryHours(event.target.value);
+        if (storyHoursValue) storyHoursValue.textContent = formatStoryHoursLabel(settings.storyHours);
+        pushSettingsToFrame();
+    });
+
+    castArrangementSelect?.addEventListener('change', (event) => {
+        settings.castArrangement = CAST_ARRANGEMENTS.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.castArrangement;
+        pushSettingsToFrame();
+    });
+
+    waterBehaviorSelect?.addEventListener('change', (event) => {
+        settings.waterBehavior = WATER_BEHAVIORS.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.waterBehavior;
+        pushSettingsToFrame();
+    });
+
+    proximityModeSelect?.addEventListener('change', (event) => {
+        settings.proximityMode = PROXIMITY_MODES.includes(event.target.value) ? event.target.value : DEFAULT_SETTINGS.proximityMode;
+        pushSettingsToFrame();
+    });
+
+    proximityRangeSlider?.addEventListener('input', (event) => {
+        settings.proximityRange = clampProximityRange(event.target.value);
+        if (proximityRangeValue) proximityRangeValue.textContent = formatProximityRangeLabel(settings.proximityRange);
+        pushSettingsToFrame();
+    });
+
+    worldFileInput?.addEventListener('change', async (event) => {
+        setEnvironmentSetting(settings, 'worldFile', String(event.target.value || '').trim());
+        await persistSettings();
+        sendWorldFile(getEffectiveSettings(settings).worldFile);
+    });
+
+    worldSeedInput?.addEventListener('change', (event) => {
+        const worldSeed = setEnvironmentSetting(settings, 'worldSeed', sanitizeWorldSeed(event.target.value));
+        event.target.value = worldSeed;
+        pushSettingsToFrame();
+    });
+
+    worldSeedRandomButton?.addEventListener('click', () => {
+        const worldSeed = setEnvironmentSetting(settings, 'worldSeed', generateWorldSeed());
+        if (worldSeedInput) worldSeedInput.value = worldSeed;
+        pushSettingsToFrame();
+    });
+
+    perChatSeedCheckbox?.addEventListener('change', (event) => {
+        settings.perChatSeed = Boolean(event.target.checked);
+        ensureChatWorldSeed();
         pushSettingsToFrame();
     });
 
@@ -1169,31 +2560,55 @@ function setupSettingsPanel(root) {
     });
 
     fogDensitySlider?.addEventListener('input', (event) => {
-        settings.fogDensity = clampFogDensity(event.target.value);
-        if (fogDensityValue) fogDensityValue.textContent = formatWeatherScalarLabel(settings.fogDensity);
+        const fogDensity = setEnvironmentSetting(settings, 'fogDensity', clampFogDensity(event.target.value));
+        if (fogDensityValue) fogDensityValue.textContent = formatWeatherScalarLabel(fogDensity);
+        pushSettingsToFrame();
+    });
+
+    windStrengthSlider?.addEventListener('input', (event) => {
+        const windStrength = setEnvironmentSetting(settings, 'windStrength', clampWindStrength(event.target.value));
+        if (windStrengthValue) windStrengthValue.textContent = formatWeatherScalarLabel(windStrength);
+        pushSettingsToFrame();
+    });
+
+    windDirectionSlider?.addEventListener('input', (event) => {
+        const windDirection = setEnvironmentSetting(settings, 'windDirection', clampWindDirection(event.target.value));
+        if (windDirectionValue) windDirectionValue.textContent = formatWindDirectionLabel(windDirection);
+        pushSettingsToFrame();
+    });
+
+    transitionSlider?.addEventListener('input', (event) => {
+        settings.transitionSeconds = clampTransitionSeconds(event.target.value);
+        if (transitionValue) transitionValue.textContent = formatTransitionLabel(settings.transitionSeconds);
         pushSettingsToFrame();
     });
 
     cloudsToggle?.addEventListener('change', (event) => {
-        settings.cloudsEnabled = Boolean(event.target.checked);
+        setEnvironmentSetting(settings, 'cloudsEnabled', Boolean(event.target.checked));
         pushSettingsToFrame();
     });
 
     cloudDensitySlider?.addEventListener('input', (event) => {
-        settings.cloudDensity = clampCloudDensity(event.target.value);
-        if (cloudDensityValue) cloudDensityValue.textContent = formatWeatherScalarLabel(settings.cloudDensity);
+        const cloudDensity = setEnvironmentSetting(settings, 'cloudDensity', clampCloudDensity(event.target.value));
+        if (cloudDensityValue) cloudDensityValue.textContent = formatWeatherScalarLabel(cloudDensity);
         pushSettingsToFrame();
     });
 
     cloudSpeedSlider?.addEventListener('input', (event) => {
-        settings.cloudSpeed = clampCloudSpeed(event.target.value);
-        if (cloudSpeedValue) cloudSpeedValue.textContent = formatWeatherScalarLabel(settings.cloudSpeed);
+        const cloudSpeed = setEnvironmentSetting(settings, 'cloudSpeed', clampCloudSpeed(event.target.value));
+        if (cloudSpeedValue) cloudSpeedValue.textContent = formatWeatherScalarLabel(cloudSpeed);
         pushSettingsToFrame();
     });
 
     maximizeButton?.addEventListener('click', () => setMaximized(!isMaximized));
     minimizeButton?.addEventListener('click', () => setMaximized(false));
 
+    saveCharacterWorldButton?.addEventListener('click', () => { void saveCharacterWorld(); });
+    clearCharacterWorldButton?.addEventListener('click', () => { void clearCharacterWorld(); });
+
+    editPropsButton?.addEventListener('click', () => setPropEditMode(!propEditMode));
+    syncPropEditButtons([editPropsButton].filter(Boolean));
+
     refreshStateButton?.addEventListener('click', () => {
         console.info('[World Engine] Manually refreshing world state from settings panel.');
         pollWorldState();
@@ -1209,7 +2624,13 @@ function setupSettingsPanel(root) {
         clearIframeLoadTimer();
         hideIframeError();
         trackWorldEngineFrame(iframe);
-        sendSettingsToFrame(iframe.contentWindow, settings);
+        sendBridgeHello(iframe.contentWindow);
+        sendSettingsToFrame(iframe.contentWindow, getEffectiveSettings(settings));
+        sendCast(iframe.contentWindow);
+        sendWorldRestore(iframe.contentWindow);
+        sendPropEditMode(iframe.contentWindow);
+        sendInteractionActions(iframe.contentWindow);
+        sendObjectives(iframe.contentWindow);
         void syncChatHistory(iframe.contentWindow);
     });
 
@@ -1225,6 +2646,10 @@ function setupSettingsPanel(root) {
 
     root.dataset.initialized = 'true';
     syncControls();
+    showAtmosphereRuleErrors(settings.atmosphereRules);
+    showInteractionActionErrors(settings.interactionActions);
+    showObjectiveErrors(settings.objectives);
+    refreshCharacterWorldStatus();
     updateIframeSrc();
     setMaximized(false);
 }
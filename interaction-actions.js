@@ -0,0 +1,216 @@
+// Actions offered by the scene's interaction wheel: the built-in set, the user's table, messages and cooldowns.
+
+export const INTERACTION_TARGET_KINDS = ['avatar', 'npc', 'prop', 'item'];
+export const INTERACTION_DELIVERIES = ['user', 'narrator', 'prompt'];
+// What the scene does once the message is delivered: put the item in the inventory, or hand over the
+// inventory item named in the input.
+export const INTERACTION_EFFECTS = ['pickup', 'give'];
+export const INTERACTION_LABEL_MAX_LENGTH = 24;
+export const INTERACTION_INPUT_MAX_LENGTH = 200;
+
+// Targets are a kind ("avatar", "npc", "prop", "item") or a prop or item kind narrowed to one type
+// ("prop:bench", "item:flower").
+// Templates can use {{user}}, {{target}} and, for actions that ask for it, {{input}}.
+export const DEFAULT_INTERACTION_ACTIONS = [
+    {
+        id: 'talk',
+        label: 'Talk',
+        targets: ['avatar', 'npc'],
+        input: 'What do you say?',
+        template: '*{{user}} turns to {{target}}.* {{input}}',
+        delivery: 'user',
+        cooldown: 0,
+    },
+    {
+        id: 'wave',
+        label: 'Wave',
+        targets: ['avatar', 'npc'],
+        template: '*{{user}} waves at {{target}}.*',
+        delivery: 'user',
+        cooldown: 10,
+    },
+    {
+        id: 'hug',
+        label: 'Hug',
+        targets: ['avatar', 'npc'],
+        template: '*{{user}} gives {{target}} a hug.*',
+        delivery: 'user',
+        cooldown: 30,
+    },
+    {
+        id: 'touch',
+        label: 'Touch shoulder',
+        targets: ['avatar'],
+        template: '[System: You touch {{target}} on the shoulder.]',
+        delivery: 'user',
+        cooldown: 10,
+    },
+    {
+        id: 'give',
+        label: 'Give item',
+        targets: ['avatar', 'npc'],
+        input: 'What do you give?',
+        template: '*{{user}} offers {{target}} {{input}}.*',
+        delivery: 'user',
+        cooldown: 5,
+        effect: 'give',
+    },
+    {
+        id: 'inspect',
+        label: 'Inspect',
+        targets: ['avatar', 'npc', 'prop', 'item'],
+        template: '{{user}} takes a closer look at {{target}}.',
+        delivery: 'prompt',
+        cooldown: 5,
+    },
+    {
+        id: 'sit',
+        label: 'Sit down',
+        targets: ['prop:bench'],
+        template: '{{user}} sits down on {{target}}.',
+        delivery: 'narrator',
+        cooldown: 20,
+    },
+    {
+        id: 'read',
+        label: 'Read',
+        targets: ['prop:sign'],
+        template: '{{user}} stops to read {{target}}.',
+        delivery: 'prompt',
+        cooldown: 10,
+    },
+    {
+        id: 'pickup',
+        label: 'Pick up',
+        targets: ['item'],
+        template: '{{user}} picks up {{target}}.',
+        delivery: 'prompt',
+        cooldown: 0,
+        effect: 'pickup',
+    },
+];
+
+function parseTarget(value) {
+    const [kind, type = null] = String(value ?? '').trim().toLowerCase().split(':');
+    if (!INTERACTION_TARGET_KINDS.includes(kind) || (type !== null && (!['prop', 'item'].includes(kind) || !type))) return null;
+    return type ? `${kind}:${type}` : kind;
+}
+
+function normalizeAction(action, index, errors) {
+    const label = action?.id ? `action "${action.id}"` : `action ${index}`;
+    if (!action || typeof action !== 'object') {
+        errors.push(`${label}: expected an object`);
+        return null;
+    }
+
+    const id = String(action.id ?? '').trim();
+    if (!id) {
+        errors.push(`${label}: "id" is required`);
+        return null;
+    }
+
+    const template = typeof action.template === 'string' ? action.template.trim() : '';
+    if (!template) {
+        errors.push(`${label}: "template" must be a non-empty string`);
+        return null;
+    }
+
+    const rawTargets = Array.isArray(action.targets) ? action.targets : [action.targets ?? 'avatar'];
+    const targets = rawTargets.map(parseTarget);
+    if (!targets.length || targets.some((target) => !target)) {
+        errors.push(`${label}: "targets" must list avatar, npc, prop, item, prop:<type> or item:<type>`);
+        return null;
+    }
+
+    const delivery = String(action.delivery ?? 'user').trim().toLowerCase();
+    if (!INTERACTION_DELIVERIES.includes(delivery)) {
+        errors.push(`${label}: "delivery" must be one of ${INTERACTION_DELIVERIES.join(', ')}`);
+        return null;
+    }
+
+    const cooldown = Number(action.cooldown ?? 0);
+    if (!Number.isFinite(cooldown) || cooldown < 0) {
+        errors.push(`${label}: "cooldown" must be a number of seconds`);
+        return null;
+    }
+
+    const effect = action.effect === undefined || action.effect === null ? null : String(action.effect).trim().toLowerCase();
+    if (effect !== null && !INTERACTION_EFFECTS.includes(effect)) {
+        errors.push(`${label}: "effect" must be one of ${INTERACTION_EFFECTS.join(', ')}`);
+        return null;
+    }
+
+    const input = typeof action.input === 'string' && action.input.trim() ? action.input.trim() : null;
+    return {
+        id,
+        label: String(action.label ?? id).trim().slice(0, INTERACTION_LABEL_MAX_LENGTH) || id,
+        targets,
+        input,
+        template,
+        delivery,
+        cooldown,
+        effect,
+    };
+}
+
+export function parseInteractionActions(input) {
+    const errors = [];
+    let raw = input;
+    if (typeof input === 'string') {
+        if (!input.trim()) return { actions: DEFAULT_INTERACTION_ACTIONS.map((action, index) => normalizeAction(action, index, errors)), errors };
+        try {
+            raw = JSON.parse(input);
+        } catch (error) {
+            return { actions: [], errors: [`invalid JSON: ${error.message}`] };
+        }
+    }
+
+    if (!Array.isArray(raw)) {
+        return { actions: [], errors: ['action table must be a JSON array'] };
+    }
+
+    const actions = [];
+    raw.forEach((entry, index) => {
+        const action = normalizeAction(entry, index, errors);
+        if (!action) return;
+        if (actions.some((existing) => existing.id === action.id)) {
+            errors.push(`action "${action.id}": duplicate id`);
+            return;
+        }
+        actions.push(action);
+    });
+
+    return { actions, errors };
+}
+
+export function matchesInteractionTarget(action, { kind, type = null } = {}) {
+    return action.targets.some((target) => target === kind || (type && target === `${kind}:${String(type).toLowerCase()}`));
+}
+
+export function renderInteractionMessage(template, { user = 'User', target = 'them', input = '' } = {}) {
+    const values = { user, target, input };
+    return String(template ?? '')
+        .replace(/\{\{(user|target|input)\}\}/gi, (_match, key) => values[key.toLowerCase()] ?? '')
+        .replace(/[ \t]{2,}/g, ' ')
+        .trim();
+}
+
+// One cooldown per action and target, so waving at one NPC does not stop you waving at another.
+export function getInteractionCooldownKey(actionId, { kind, id = null, name = null } = {}) {
+    return `${actionId}:${kind}:${id ?? name ?? ''}`;
+}
+
+export function createInteractionCooldowns() {
+    const readyAt = new Map();
+    return {
+        remaining(key, now = Date.now()) {
+            return Math.max(0, ((readyAt.get(key) ?? 0) - now) / 1000);
+        },
+        start(key, seconds, now = Date.now()) {
+            if (seconds > 0) readyAt.set(key, now + seconds * 1000);
+        },
+        clear() {
+            readyAt.clear();
+        },
+    };
+}
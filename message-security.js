@@ -1,3 +1,24 @@
+import { createWorldBridge } from './world-bridge.js';
+
+// What the extension offers the scene during the handshake.
+const HOST_CAPABILITIES = ['chat', 'commands', 'restore', 'interactions', 'objectives'];
+
+function createBridgeToken() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Goes into every view URL; the scene only accepts a handshake that repeats it.
+const bridgeToken = createBridgeToken();
+
+export const hostBridge = createWorldBridge({
+    role: 'host',
+    capabilities: HOST_CAPABILITIES,
+    token: bridgeToken,
+    onHandshake: (peer) => console.debug('[World Engine] Scene connected.', peer),
+});
+
 let trackedFrameOrigins = new WeakMap();
 
 export function rememberFrameOrigin(frameWindow, origin, iframe = null) {
@@ -9,6 +30,29 @@ export function rememberFrameOrigin(frameWindow, origin, iframe = null) {
     });
 }
 
+// Messages to a frame name the origin its src resolved to rather than '*'; frames without a usable
+// origin get nothing.
+export function getFrameTargetOrigin(frameWindow) {
+    const origin = frameWindow ? trackedFrameOrigins.get(frameWindow)?.origin : null;
+    return origin && origin !== 'null' ? origin : null;
+}
+
+export function postToFrame(frameWindow, type, payload) {
+    hostBridge.post(frameWindow, type, payload, getFrameTargetOrigin(frameWindow));
+}
+
+export function greetFrame(frameWindow) {
+    hostBridge.hello(frameWindow, getFrameTargetOrigin(frameWindow));
+}
+
+export function requestFromFrame(frameWindow, type, payload, options) {
+    return hostBridge.request(frameWindow, type, payload, getFrameTargetOrigin(frameWindow), options);
+}
+
+export function getBridgeToken() {
+    return bridgeToken;
+}
+
 export function resolveTrackedFrame(event) {
     const { data } = event || {};
     const frameInfo = event?.source ? trackedFrameOrigins.get(event.source) : null;
@@ -0,0 +1,79 @@
+// The scene's side of message-security.js: only the parent window, at its pinned origin, may talk to the scene.
+
+const HANDSHAKE_TYPES = ['world-engine-hello', 'world-engine-ready'];
+
+let pinnedParent = { origin: null, token: null };
+
+function resolveOrigin(url) {
+    if (!url) return null;
+    try {
+        const { origin } = new URL(url);
+        return origin && origin !== 'null' ? origin : null;
+    } catch (_error) {
+        return null;
+    }
+}
+
+// The referrer names the page that embedded the viewer, and is only trusted when that is the
+// SillyTavern host serving the scene. Otherwise (another site, or a strict referrer policy) the token
+// buildViewUrl put in the view URL has to arrive in the extension's handshake before anything else is
+// accepted, and that handshake's origin is pinned instead. With neither, nothing is trusted.
+export function pinParentOrigin({ referrer = '', token = null, ownOrigin = null } = {}) {
+    const referrerOrigin = resolveOrigin(referrer);
+    const trusted = referrerOrigin && referrerOrigin === resolveOrigin(ownOrigin) ? referrerOrigin : null;
+    if (referrerOrigin && !trusted) {
+        console.warn('[World Engine] Not trusting the referrer of a viewer embedded by another site:', referrerOrigin);
+    }
+    pinnedParent = { origin: trusted, token: token || null };
+    return pinnedParent.origin;
+}
+
+export function getPinnedParentOrigin() {
+    return pinnedParent.origin;
+}
+
+export function resolveParentMessage(event, parentWindow) {
+    const { data } = event || {};
+    const details = { origin: event?.origin, type: data?.type };
+
+    if (!parentWindow || !event?.source || event.source !== parentWindow) {
+        console.warn('[World Engine] Ignoring message from a window other than the parent.', details);
+        return false;
+    }
+
+    const handshake = HANDSHAKE_TYPES.includes(data?.type);
+    if (handshake && pinnedParent.token && data.payload?.token !== pinnedParent.token) {
+        console.warn('[World Engine] Ignoring handshake with the wrong token.', details);
+        return false;
+    }
+
+    if (pinnedParent.origin) {
+        if (event.origin !== pinnedParent.origin) {
+            console.warn('[World Engine] Ignoring message from unexpected origin.', { ...details, expected: pinnedParent.origin });
+            return false;
+        }
+        return true;
+    }
+
+    if (!pinnedParent.token) {
+        console.warn('[World Engine] Ignoring message: the viewer was opened without a referrer or a bridge token.', details);
+        return false;
+    }
+
+    if (!handshake) {
+        console.warn('[World Engine] Ignoring message received before the extension\'s handshake.', details);
+        return false;
+    }
+
+    const origin = resolveOrigin(event.origin);
+    if (!origin) {
+        console.warn('[World Engine] Ignoring message from an opaque origin.', details);
+        return false;
+    }
+    pinnedParent.origin = origin;
+    return true;
+}
+
+export function clearPinnedParentOriginForTest() {
+    pinnedParent = { origin: null, token: null };
+}
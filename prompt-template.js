@@ -0,0 +1,80 @@
+// World state prompt templates and the placeholder values they are filled with.
+
+export const PROMPT_PLACEHOLDERS = ['time', 'clock', 'weather', 'location', 'position', 'visible', 'nearbyObjects', 'npcs', 'inventory'];
+export const PROMPT_POSITIONS = ['in_prompt', 'in_chat', 'before_prompt'];
+export const PROMPT_ROLES = ['system', 'user', 'assistant'];
+export const DEFAULT_PROMPT_TEMPLATE = 'World Engine environment context: time of day {{time}}, weather {{weather}}, location: {{location}}, in view: {{visible}}. {{user}} is carrying {{inventory}}.';
+// Earlier defaults. A saved template still equal to one of them was never edited, so it moves to the current default.
+export const PREVIOUS_DEFAULT_PROMPT_TEMPLATES = [
+    'World Engine environment context: time of day {{time}}, weather {{weather}}, location: {{location}}.',
+    'World Engine environment context: time of day {{time}}, weather {{weather}}, location: {{location}}. {{user}} is carrying {{inventory}}.',
+];
+export const VISIBLE_ENTITY_RANGE = 30;
+export const VISIBLE_ENTITY_LIMIT = 8;
+export const DEFAULT_MESSAGE_NOTE_TEMPLATE = '[System Note: World State - Time: {{time}}, Weather: {{weather}}, Location: {{location}}, Position: {{position}}]';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Unknown placeholders are left alone so SillyTavern macros such as {{user}} still resolve later.
+export function renderPromptTemplate(template, values = {}) {
+    const known = new Map(PROMPT_PLACEHOLDERS.map((name) => [name.toLowerCase(), name]));
+    return String(template ?? '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const key = known.get(name.toLowerCase());
+        if (!key) return match;
+        const value = values[key];
+        return value === undefined || value === null || value === '' ? 'unknown' : String(value);
+    }).trim();
+}
+
+export function formatPromptPosition(position) {
+    if (!position) return null;
+    const coords = ['x', 'y', 'z'].map((axis) => Number(position[axis]));
+    if (coords.some((value) => !Number.isFinite(value))) return null;
+    return `(${coords.map((value) => value.toFixed(1)).join(', ')})`;
+}
+
+export function formatNearbyObjects(objects) {
+    if (!Array.isArray(objects) || !objects.length) return 'nothing notable';
+    return objects
+        .map((entry) => {
+            const distance = Number(entry?.distance);
+            const label = String(entry?.label ?? entry?.type ?? '').trim();
+            if (!label) return null;
+            return Number.isFinite(distance) ? `${label} (${Math.round(distance)}m)` : label;
+        })
+        .filter(Boolean)
+        .join(', ') || 'nothing notable';
+}
+
+export function formatNearbyNpcs(npcs) {
+    if (!Array.isArray(npcs) || !npcs.length) return 'nobody';
+    return [...npcs]
+        .filter((npc) => String(npc?.name ?? '').trim())
+        .sort((a, b) => (Number(a.distance) || 0) - (Number(b.distance) || 0))
+        .map((npc) => {
+            const distance = Number(npc.distance);
+            return Number.isFinite(distance) ? `${npc.name} (${Math.round(distance)}m)` : npc.name;
+        })
+        .join(', ') || 'nobody';
+}
+
+// The scene's visible list, or else its nearby objects and NPCs, in one short list, closest first.
+// NPCs are also among the nearby objects when they are close, so each name is listed once. Null when
+// there is no scene state to read.
+export function formatVisibleEntities(state, { range = VISIBLE_ENTITY_RANGE, limit = VISIBLE_ENTITY_LIMIT } = {}) {
+    if (!state || typeof state !== 'object') return null;
+    const closest = new Map();
+    const entries = Array.isArray(state.visible) ? state.visible : [...(state.nearbyObjects ?? []), ...(state.npcs ?? [])];
+    entries.forEach((entry) => {
+        const label = String(entry?.label ?? entry?.name ?? '').trim();
+        const distance = Number(entry?.distance);
+        if (!label || !Number.isFinite(distance) || distance > range) return;
+        const key = label.toLowerCase();
+        if (!closest.has(key) || closest.get(key).distance > distance) closest.set(key, { label, distance });
+    });
+    return [...closest.values()]
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ label, distance }) => `${label} (${Math.round(distance)}m)`)
+        .join(', ') || 'nothing notable';
+}
@@ -0,0 +1,66 @@
+// Prop layouts edited in the scene: undo history and the JSON export format.
+
+export const PROP_LAYOUT_VERSION = 1;
+export const PROP_EDIT_HISTORY_LIMIT = 100;
+
+function roundTo(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+export function normalizePropRotation(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return 0;
+    return roundTo(((numeric % 360) + 360) % 360, 1);
+}
+
+// Entries use the world file prop format, so an exported "props" array can be pasted into a world file.
+export function describeProp({ id, type, x, z, scale = 1, rotation = 0 }) {
+    return {
+        id: id ?? null,
+        type,
+        x: roundTo(Number(x) || 0, 2),
+        z: roundTo(Number(z) || 0, 2),
+        scale: roundTo(Number(scale) || 1, 2),
+        rotation: normalizePropRotation(rotation),
+    };
+}
+
+export function serializePropLayout(props, { world = null, seed = null } = {}) {
+    return {
+        version: PROP_LAYOUT_VERSION,
+        world,
+        seed,
+        props: (Array.isArray(props) ? props : []).map(describeProp),
+    };
+}
+
+// Each entry is { before, after } where either side may be null for a placement or a removal.
+export function createPropEditHistory(limit = PROP_EDIT_HISTORY_LIMIT) {
+    const undoStack = [];
+    const redoStack = [];
+
+    return {
+        record(entry) {
+            undoStack.push(entry);
+            if (undoStack.length > limit) undoStack.shift();
+            redoStack.length = 0;
+        },
+        undo() {
+            const entry = undoStack.pop() ?? null;
+            if (entry) redoStack.push(entry);
+            return entry;
+        },
+        redo() {
+            const entry = redoStack.pop() ?? null;
+            if (entry) undoStack.push(entry);
+            return entry;
+        },
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0,
+        clear() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+        },
+    };
+}
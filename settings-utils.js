@@ -1,4 +1,9 @@
 import { eventSource } from '/script.js';
+import { DEFAULT_PROXIMITY_RANGE } from './conversation-proximity.js';
+import { DEFAULT_DAY_LENGTH, DEFAULT_STORY_HOURS } from './world-clock.js';
+import { DEFAULT_MESSAGE_NOTE_TEMPLATE, DEFAULT_PROMPT_TEMPLATE } from './prompt-template.js';
+import { normalizeWorldSeed } from './world-seed.js';
+import { getBridgeToken, postToFrame } from './message-security.js';
 
 export const EXTENSION_NAME = 'world-engine';
 export const DEFAULT_SETTINGS = {
@@ -20,14 +25,64 @@ export const DEFAULT_SETTINGS = {
     cloudsEnabled: true,
     cloudDensity: 1.0,
     cloudSpeed: 0.6,
+    windStrength: 0.5,
+    windDirection: 45,
+    transitionSeconds: 4,
+    clockMode: 'scaled',
+    dayLength: DEFAULT_DAY_LENGTH,
+    storyHours: DEFAULT_STORY_HOURS,
+    worldFile: '',
+    worldSeed: '',
+    perChatSeed: false,
+    castArrangement: 'arc',
+    waterBehavior: 'wade',
+    proximityMode: 'off',
+    proximityRange: DEFAULT_PROXIMITY_RANGE,
+    regionNotes: true,
+    regionNotesScanLorebook: true,
+    atmosphereInference: false,
+    atmosphereRules: '',
+    interactionActions: '',
+    objectivesEnabled: false,
+    objectives: '',
+    objectiveDelivery: 'off',
+    promptTemplate: DEFAULT_PROMPT_TEMPLATE,
+    promptPosition: 'in_prompt',
+    promptDepth: 0,
+    promptRole: 'system',
+    promptOnlyOnChange: false,
+    messageNoteTemplate: DEFAULT_MESSAGE_NOTE_TEMPLATE,
 };
 
+// Settings a character card can pin so its chats always open in the same environment.
+export const CHARACTER_WORLD_FIELDS = ['timeOfDay', 'weather', 'fogDensity', 'cloudsEnabled', 'cloudDensity', 'cloudSpeed', 'windStrength', 'windDirection', 'worldFile', 'worldSeed'];
+
 const EXTENSION_BASE_URL = new URL('.', import.meta.url);
 export const VIEW_URL = new URL('./Resources/world-engine/index.html', EXTENSION_BASE_URL).toString();
 
+// Fills in missing defaults on the stored object itself: the panel and popup hold on to it, and a fresh
+// copy on every call would leave their edits on an object that is never saved.
 export function ensureSettings(extensionSettings) {
-    extensionSettings[EXTENSION_NAME] = Object.assign({}, DEFAULT_SETTINGS, extensionSettings[EXTENSION_NAME]);
-    return extensionSettings[EXTENSION_NAME];
+    const stored = extensionSettings[EXTENSION_NAME];
+    const settings = stored && typeof stored === 'object' ? stored : {};
+    Object.entries(DEFAULT_SETTINGS).forEach(([key, value]) => {
+        if (settings[key] === undefined) settings[key] = value;
+    });
+    extensionSettings[EXTENSION_NAME] = settings;
+    return settings;
+}
+
+export function pickCharacterWorldFields(source) {
+    const picked = {};
+    CHARACTER_WORLD_FIELDS.forEach((field) => {
+        if (source?.[field] !== undefined) picked[field] = source[field];
+    });
+    return picked;
+}
+
+export function applyCharacterWorld(settings, characterWorld) {
+    if (!characterWorld) return settings;
+    return { ...settings, ...pickCharacterWorldFields(characterWorld) };
 }
 
 export function buildViewUrl(settings) {
@@ -50,6 +105,20 @@ export function buildViewUrl(settings) {
     url.searchParams.set('cloudsEnabled', String(Boolean(settings.cloudsEnabled ?? DEFAULT_SETTINGS.cloudsEnabled)));
     url.searchParams.set('cloudDensity', String(settings.cloudDensity ?? DEFAULT_SETTINGS.cloudDensity));
     url.searchParams.set('cloudSpeed', String(settings.cloudSpeed ?? DEFAULT_SETTINGS.cloudSpeed));
+    url.searchParams.set('windStrength', String(settings.windStrength ?? DEFAULT_SETTINGS.windStrength));
+    url.searchParams.set('windDirection', String(settings.windDirection ?? DEFAULT_SETTINGS.windDirection));
+    url.searchParams.set('transitionSeconds', String(settings.transitionSeconds ?? DEFAULT_SETTINGS.transitionSeconds));
+    url.searchParams.set('clock', String(settings.clockMode ?? DEFAULT_SETTINGS.clockMode));
+    url.searchParams.set('dayLength', String(settings.dayLength ?? DEFAULT_SETTINGS.dayLength));
+    url.searchParams.set('seed', normalizeWorldSeed(settings.worldSeed));
+    url.searchParams.set('castArrangement', String(settings.castArrangement ?? DEFAULT_SETTINGS.castArrangement));
+    url.searchParams.set('water', String(settings.waterBehavior ?? DEFAULT_SETTINGS.waterBehavior));
+    url.searchParams.set('proximity', String(settings.proximityMode ?? DEFAULT_SETTINGS.proximityMode));
+    url.searchParams.set('proximityRange', String(settings.proximityRange ?? DEFAULT_SETTINGS.proximityRange));
+    url.searchParams.set('bridge', getBridgeToken());
+    if (settings.worldFile) {
+        url.searchParams.set('world', String(settings.worldFile));
+    }
     return url.toString();
 }
 
@@ -99,9 +168,9 @@ export async function persistSettings(saveSettingsFn = window?.saveSettingsDebou
 
 export function sendSettingsToFrame(frame, settings) {
     if (!frame?.postMessage) return;
-    frame.postMessage({
-        source: EXTENSION_NAME,
-        type: 'world-engine-settings',
-        payload: settings,
-    }, '*');
+    try {
+        postToFrame(frame, 'world-engine-settings', settings);
+    } catch (error) {
+        console.warn('[World Engine] Failed to deliver settings to frame.', error);
+    }
 }
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { inferAtmosphereCommands, parseAtmosphereRules, scoreAtmosphereRule } from '../atmosphere-inference.js';
+
+const { rules: defaultRules } = parseAtmosphereRules('');
+const rule = (id) => defaultRules.find((entry) => entry.id === id);
+
+test('an empty table means the built-in rules', () => {
+    assert.ok(defaultRules.length > 0);
+    assert.ok(rule('rain') && rule('night'));
+});
+
+test('reports invalid rule tables and rules', () => {
+    assert.match(parseAtmosphereRules('{').errors[0], /invalid JSON/);
+    assert.match(parseAtmosphereRules('{}').errors[0], /must be a JSON array/);
+
+    const { rules, errors } = parseAtmosphereRules(JSON.stringify([
+        { id: 'hail', command: 'weather', args: { preset: 'hail' }, terms: { hail: 1 } },
+        { id: 'mist', command: 'weather', args: { preset: 'foggy' }, terms: {} },
+        { id: 'drizzle', command: 'weather', args: { preset: 'rainy' }, terms: { drizzle: 1 }, cooldown: 2.4 },
+    ]));
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /rule "hail": weather: argument "preset" unknown value/);
+    assert.match(errors[1], /rule "mist": "terms" must map keywords/);
+    assert.deepEqual(rules.map(({ id, group, cooldown }) => ({ id, group, cooldown })), [{ id: 'drizzle', group: 'weather', cooldown: 2 }]);
+});
+
+test('negated terms count against a rule', () => {
+    assert.ok(scoreAtmosphereRule(rule('rain'), 'Rain hammered the roof.').score > 0);
+    assert.equal(scoreAtmosphereRule(rule('rain'), 'There was no rain that day.').score, 0);
+    assert.ok(scoreAtmosphereRule(rule('rain'), 'At last it stopped raining.').score < 0);
+});
+
+test('picks the most confident rule per group and skips what is already true', () => {
+    const narration = 'Thunder cracked and lightning split the sky as the storm broke over the night-dark hills. Midnight had passed.';
+    const { commands } = inferAtmosphereCommands(narration, { rules: defaultRules });
+    const byGroup = Object.fromEntries(commands.map((entry) => [entry.group, entry.command]));
+    assert.deepEqual(byGroup.weather, { command: 'weather', args: { preset: 'stormy' } });
+    assert.equal(byGroup.time?.command, 'time');
+
+    const satisfied = inferAtmosphereCommands(narration, { rules: defaultRules, current: { weather: 'stormy', timeOfDay: byGroup.time.args.hour } });
+    assert.deepEqual(satisfied.commands, []);
+});
+
+test('waits out a group cooldown and leaves explicitly commanded groups alone', () => {
+    const narration = 'Rain poured down, a heavy downpour.';
+    const first = inferAtmosphereCommands(narration, { rules: defaultRules, messageIndex: 4 });
+    assert.equal(first.commands.length, 1);
+    assert.deepEqual(first.lastApplied, { weather: 4 });
+
+    assert.equal(inferAtmosphereCommands(narration, { rules: defaultRules, messageIndex: 5, lastApplied: first.lastApplied }).commands.length, 0);
+    assert.equal(inferAtmosphereCommands(narration, { rules: defaultRules, messageIndex: 7, lastApplied: first.lastApplied }).commands.length, 1);
+    assert.equal(inferAtmosphereCommands(narration, { rules: defaultRules, skipGroups: ['weather'] }).commands.length, 0);
+});
@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clearPinnedParentOriginForTest, getPinnedParentOrigin, pinParentOrigin, resolveParentMessage } from '../parent-message-security.js';
+
+const parent = { name: 'parent' };
+const HOST = 'http://127.0.0.1:8000';
+
+function message(type, { source = parent, origin = HOST, payload = {} } = {}) {
+    return { source, origin, data: { type, payload } };
+}
+
+beforeEach((t) => {
+    clearPinnedParentOriginForTest();
+    t.mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => clearPinnedParentOriginForTest());
+
+test('rejects messages from a window other than the parent', () => {
+    pinParentOrigin({ referrer: `${HOST}/`, token: 'secret', ownOrigin: HOST });
+    assert.equal(resolveParentMessage(message('world-engine-command', { source: { name: 'other' } }), parent), false);
+    assert.equal(resolveParentMessage(message('world-engine-command', { source: null }), parent), false);
+    assert.equal(resolveParentMessage(message('world-engine-command'), parent), true);
+});
+
+test('rejects a handshake with the wrong token', () => {
+    pinParentOrigin({ token: 'secret' });
+    assert.equal(resolveParentMessage(message('world-engine-hello', { payload: { token: 'guess' } }), parent), false);
+    assert.equal(resolveParentMessage(message('world-engine-hello'), parent), false);
+    assert.equal(getPinnedParentOrigin(), null);
+
+    pinParentOrigin({ referrer: `${HOST}/`, token: 'secret', ownOrigin: HOST });
+    assert.equal(resolveParentMessage(message('world-engine-ready', { payload: { token: 'guess' } }), parent), false);
+});
+
+test('rejects anything but the handshake until the token has arrived, then pins its origin', () => {
+    pinParentOrigin({ token: 'secret' });
+    assert.equal(resolveParentMessage(message('world-engine-command'), parent), false);
+    assert.equal(getPinnedParentOrigin(), null);
+
+    assert.equal(resolveParentMessage(message('world-engine-hello', { payload: { token: 'secret' } }), parent), true);
+    assert.equal(getPinnedParentOrigin(), HOST);
+    assert.equal(resolveParentMessage(message('world-engine-command'), parent), true);
+    assert.equal(resolveParentMessage(message('world-engine-command', { origin: 'https://evil.example' }), parent), false);
+});
+
+test('rejects messages from an origin other than the referrer', () => {
+    assert.equal(pinParentOrigin({ referrer: `${HOST}/index.html`, token: 'secret', ownOrigin: HOST }), HOST);
+    assert.equal(resolveParentMessage(message('world-engine-command', { origin: 'https://evil.example' }), parent), false);
+    assert.equal(resolveParentMessage(message('world-engine-hello', { origin: 'https://evil.example', payload: { token: 'secret' } }), parent), false);
+    assert.equal(getPinnedParentOrigin(), HOST);
+});
+
+test('rejects a handshake from an opaque origin', () => {
+    pinParentOrigin({ token: 'secret' });
+    assert.equal(resolveParentMessage(message('world-engine-hello', { origin: 'null', payload: { token: 'secret' } }), parent), false);
+    assert.equal(getPinnedParentOrigin(), null);
+});
+
+test('trusts nothing without a referrer or a token', () => {
+    pinParentOrigin({});
+    assert.equal(resolveParentMessage(message('world-engine-hello'), parent), false);
+    assert.equal(resolveParentMessage(message('world-engine-command'), parent), false);
+    assert.equal(getPinnedParentOrigin(), null);
+});
+
+test('does not trust a referrer from another site and waits for the token handshake instead', () => {
+    const EVIL = 'https://evil.example';
+    assert.equal(pinParentOrigin({ referrer: `${EVIL}/embed.html`, token: 'secret', ownOrigin: HOST }), null);
+    assert.equal(resolveParentMessage(message('world-engine-command', { origin: EVIL }), parent), false);
+    assert.equal(resolveParentMessage(message('world-engine-hello', { origin: EVIL, payload: { token: 'guess' } }), parent), false);
+    assert.equal(getPinnedParentOrigin(), null);
+
+    pinParentOrigin({ referrer: `${EVIL}/embed.html`, ownOrigin: HOST });
+    assert.equal(resolveParentMessage(message('world-engine-hello', { origin: EVIL }), parent), false);
+    assert.equal(getPinnedParentOrigin(), null);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatVisibleEntities } from '../prompt-template.js';
+
+test('lists what the scene reports as visible, out to the visible range', () => {
+    const state = {
+        nearbyObjects: [{ label: 'bench', distance: 4 }],
+        visible: [{ label: 'bench', distance: 4 }, { label: 'Mira', distance: 12 }, { label: 'tower', distance: 28 }, { label: 'lighthouse', distance: 45 }],
+    };
+    assert.equal(formatVisibleEntities(state), 'bench (4m), Mira (12m), tower (28m)');
+});
+
+test('falls back to nearby objects and NPCs, naming each once', () => {
+    const state = {
+        nearbyObjects: [{ label: 'Mira', distance: 6 }, { label: 'rock', distance: 2 }],
+        npcs: [{ name: 'Mira', distance: 6 }, { name: 'Tom', distance: 22 }],
+    };
+    assert.equal(formatVisibleEntities(state), 'rock (2m), Mira (6m), Tom (22m)');
+    assert.equal(formatVisibleEntities({}), 'nothing notable');
+    assert.equal(formatVisibleEntities(null), null);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BRIDGE_PROTOCOL_VERSION, BRIDGE_SOURCE, createWorldBridge, resolveReplyOrigin, validateBridgeMessage } from '../world-bridge.js';
+
+const HOST_ORIGIN = 'http://127.0.0.1:8000';
+
+// Two windows whose postMessage hands the message to the other side's bridge on the next turn, the way
+// a browser delivers it.
+function connect(host, scene) {
+    const hostWindow = { postMessage: (data) => setImmediate(() => host.receive({ source: sceneWindow, origin: HOST_ORIGIN, data })) };
+    const sceneWindow = { postMessage: (data) => setImmediate(() => scene.receive({ source: hostWindow, origin: HOST_ORIGIN, data })) };
+    return { hostWindow, sceneWindow };
+}
+
+test('checks messages against their schema and sending side', () => {
+    const message = (type, payload) => ({ source: BRIDGE_SOURCE, type, payload });
+    assert.equal(validateBridgeMessage(message('world-engine-command', { command: 'weather', args: {} }), { from: 'host' }).ok, true);
+    assert.match(validateBridgeMessage(message('world-engine-command', { command: 'weather', args: {} }), { from: 'scene' }).errors[0], /only the host may send it/);
+    assert.match(validateBridgeMessage(message('world-engine-command', { args: [] })).errors.join('; '), /"command" is required.*"args" must be a object/);
+    assert.match(validateBridgeMessage(message('get-world-state', { extra: true })).errors[0], /expected no payload/);
+    assert.equal(validateBridgeMessage(message('world-engine-speaker', null)).ok, true);
+    assert.match(validateBridgeMessage(message('world-engine-teleport', {})).errors[0], /unknown message type/);
+    assert.equal(validateBridgeMessage({ type: 'world-engine-chat', payload: {} }).ok, false);
+});
+
+test('does not name opaque origins when replying', () => {
+    assert.equal(resolveReplyOrigin({ origin: HOST_ORIGIN }), HOST_ORIGIN);
+    assert.equal(resolveReplyOrigin({ origin: 'null' }), '*');
+});
+
+test('refuses to post malformed messages or without a target origin', () => {
+    const bridge = createWorldBridge({ role: 'host' });
+    const target = { postMessage: () => assert.fail('nothing should be posted') };
+    assert.throws(() => bridge.post(target, 'world-engine-state', {}, HOST_ORIGIN), /only the scene may send it/);
+    assert.throws(() => bridge.post(target, 'world-engine-settings', {}, null), /No target origin/);
+    assert.throws(() => createWorldBridge({ role: 'guest' }), /Unknown bridge role/);
+});
+
+test('the handshake tells each side what the other supports', async () => {
+    const seen = [];
+    let answered;
+    const ready = new Promise((resolve) => { answered = resolve; });
+    const host = createWorldBridge({ role: 'host', capabilities: ['chat'], token: 'secret', onHandshake: (peer) => seen.push(['host', peer]) });
+    const scene = createWorldBridge({
+        role: 'scene',
+        capabilities: ['state-request'],
+        onHandshake: (peer) => {
+            seen.push(['scene', peer]);
+            answered();
+        },
+    });
+    const { hostWindow, sceneWindow } = connect(host, scene);
+
+    scene.hello(hostWindow, HOST_ORIGIN);
+    await ready;
+
+    assert.equal(host.supports(sceneWindow, 'state-request'), true);
+    assert.equal(scene.supports(hostWindow, 'chat'), true);
+    assert.equal(scene.getPeer(hostWindow).protocol, BRIDGE_PROTOCOL_VERSION);
+    assert.deepEqual(seen.map(([side]) => side), ['host', 'scene']);
+});
+
+test('requests resolve with the handler result, reject with its error and time out', async () => {
+    const host = createWorldBridge({ role: 'host', timeout: 50 });
+    const scene = createWorldBridge({ role: 'scene' });
+    const { sceneWindow } = connect(host, scene);
+
+    let calls = 0;
+    scene.handle('get-world-state', () => {
+        calls += 1;
+        if (calls === 2) throw new Error('scene not ready');
+        return { weather: 'rainy' };
+    });
+    assert.deepEqual(await host.request(sceneWindow, 'get-world-state', undefined, HOST_ORIGIN), { weather: 'rainy' });
+    await assert.rejects(host.request(sceneWindow, 'get-world-state', undefined, HOST_ORIGIN), /scene not ready/);
+
+    const silent = { postMessage: () => {} };
+    await assert.rejects(host.request(silent, 'get-world-state', undefined, HOST_ORIGIN), /timed out after 50 ms/);
+});
+
+test('plain messages reach the caller and closing rejects what is still pending', async () => {
+    const scene = createWorldBridge({ role: 'scene' });
+    const received = scene.receive({ source: {}, origin: HOST_ORIGIN, data: { source: BRIDGE_SOURCE, type: 'world-engine-settings', payload: { weather: 'snowy' } } });
+    assert.deepEqual(received, { type: 'world-engine-settings', payload: { weather: 'snowy' }, requestId: null });
+
+    const host = createWorldBridge({ role: 'host' });
+    const pending = host.request({ postMessage: () => {} }, 'get-world-state', undefined, HOST_ORIGIN);
+    host.dispose();
+    await assert.rejects(pending, /Bridge closed/);
+});
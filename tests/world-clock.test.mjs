@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    advanceClockHour,
+    clampDayLength,
+    clampStoryHours,
+    DEFAULT_DAY_LENGTH,
+    describeClockMode,
+    getClockHoursPerSecond,
+    getSystemClockHour,
+    normalizeClockMode,
+} from '../world-clock.js';
+
+test('falls back to the scaled clock for unknown modes', () => {
+    assert.equal(normalizeClockMode('story'), 'story');
+    assert.equal(normalizeClockMode('warp'), 'scaled');
+});
+
+test('keeps day lengths and story steps inside their ranges', () => {
+    assert.equal(clampDayLength(0), 1);
+    assert.equal(clampDayLength(1000), 240);
+    assert.equal(clampDayLength('soon'), DEFAULT_DAY_LENGTH);
+    assert.equal(clampStoryHours(0.3), 0.25);
+    assert.equal(clampStoryHours(1.4), 1.5);
+    assert.equal(clampStoryHours(48), 12);
+});
+
+test('runs a whole day in the configured minutes, nights faster than days', () => {
+    const day = getClockHoursPerSecond(17);
+    const night = getClockHoursPerSecond(17, true);
+    assert.ok(night > day);
+    assert.ok(Math.abs(12 / day + 12 / night - 17 * 60) < 1e-6);
+});
+
+test('wraps the hour around midnight in both directions', () => {
+    assert.equal(advanceClockHour(22, 3), 1);
+    assert.equal(advanceClockHour(1, -2), 23);
+    assert.equal(advanceClockHour('x', 5), 5);
+    assert.equal(getSystemClockHour(new Date(2024, 0, 1, 18, 30)), 18.5);
+});
+
+test('tells the model how time moves', () => {
+    assert.equal(describeClockMode('paused'), 'time stands still until the story moves it');
+    assert.equal(describeClockMode('story', { storyHours: 1 }), 'about 1 hour passes with each reply');
+    assert.equal(describeClockMode('story', { storyHours: 2 }), 'about 2 hours pass with each reply');
+    assert.equal(describeClockMode('scaled', { dayLength: 30 }), 'a full day passes in 30 minutes');
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    containsPoint,
+    createBoxCollider,
+    createCircleCollider,
+    createCollisionWorld,
+    createHeightFieldCollider,
+    createOrientedBoxCollider,
+    getCircleContact,
+    getColliderBounds,
+} from '../world-collision.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('pushes a circle out of circles and boxes along the shortest way', () => {
+    const rock = createCircleCollider(0, 0, 1);
+    const contact = getCircleContact(rock, 1.5, 0, 1);
+    assert.deepEqual(contact, { nx: 1, nz: 0, depth: 0.5 });
+    assert.equal(getCircleContact(rock, 3, 0, 1), null);
+
+    const wall = createBoxCollider(2, -1, 0, 1);
+    assert.deepEqual(getColliderBounds(wall), { minX: 0, minZ: -1, maxX: 2, maxZ: 1 });
+    assert.deepEqual(getCircleContact(wall, 1, 1.25, 0.5), { nx: 0, nz: 1, depth: 0.25 });
+    // From inside the box the nearest face wins
+    assert.deepEqual(getCircleContact(wall, 1.8, 0, 0.5), { nx: 1, nz: 0, depth: 0.7 });
+});
+
+test('rotates oriented boxes', () => {
+    const bench = createOrientedBoxCollider(0, 0, 2, 0.5, Math.PI / 2);
+    const bounds = getColliderBounds(bench);
+    close(bounds.maxX, 0.5);
+    close(bounds.maxZ, 2);
+    assert.equal(containsPoint(bench, 0, 1.8), true);
+    assert.equal(containsPoint(bench, 1.8, 0), false);
+});
+
+test('finds colliders through the spatial hash and follows them when they move', () => {
+    const world = createCollisionWorld({ cellSize: 4 });
+    const rock = world.add(createCircleCollider(1, 1, 1));
+    const tree = world.add(createCircleCollider(30, 30, 1));
+    assert.equal(world.size, 2);
+    assert.deepEqual(world.queryPoint(1, 1), [rock]);
+    assert.deepEqual(world.query({ minX: 25, minZ: 25, maxX: 35, maxZ: 35 }), [tree]);
+
+    rock.x = 20;
+    world.update(rock);
+    assert.deepEqual(world.queryPoint(1, 1), []);
+    assert.deepEqual(world.queryPoint(20, 1), [rock]);
+
+    assert.equal(world.remove(tree), true);
+    assert.equal(world.has(tree), false);
+    assert.throws(() => world.add({ shape: 'cone' }), /Unsupported collider shape/);
+});
+
+test('lets the player pass under or step over colliders with a height band', () => {
+    const world = createCollisionWorld();
+    world.add(createBoxCollider(-1, -1, 1, 1, { minY: 2, maxY: 3 }));
+    world.add(createBoxCollider(4, -1, 6, 1, { maxY: 0.3 }));
+
+    const under = world.resolveCircle(0, 0, 0.4, { feetY: 0, headY: 1.7 });
+    assert.deepEqual([under.x, under.z, under.contacts.length], [0, 0, 0]);
+    const step = world.resolveCircle(5, 0, 0.4, { feetY: 0, headY: 1.7, stepHeight: 0.35 });
+    assert.equal(step.contacts.length, 0);
+
+    const blocked = world.resolveCircle(5, 1.2, 0.4, { feetY: 0, headY: 1.7 });
+    close(blocked.z, 1.4);
+    assert.ok(blocked.contacts.length > 0);
+});
+
+test('raises the floor where height fields cover the ground', () => {
+    const world = createCollisionWorld();
+    world.add(createHeightFieldCollider(0, 0, 4, 2, (x) => x / 4));
+    world.add(createHeightFieldCollider(2, 0, 6, 2, () => 0.75));
+    assert.equal(world.sampleFloor(1, 1), 0.25);
+    assert.equal(world.sampleFloor(3, 1), 0.75);
+    assert.equal(world.sampleFloor(10, 1), null);
+    assert.deepEqual(world.resolveCircle(1, 1, 0.5).contacts, []);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    getWorldCommandSchema,
+    listWorldCommands,
+    parseWorldCommandBlocks,
+    registerWorldCommand,
+    stripWorldCommandBlocks,
+    validateWorldCommand,
+    WORLD_COMMAND_PROTOCOL_VERSION,
+} from '../world-commands.js';
+
+test('parses positional and named arguments from a <world> block and strips it from the text', () => {
+    const reply = 'The sky darkens.\n<world>\nweather stormy\n# a comment\ntime hour=21 advance=yes\n</world>\nThunder rolls.';
+    const { commands, errors, text } = parseWorldCommandBlocks(reply);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(commands, [
+        { version: WORLD_COMMAND_PROTOCOL_VERSION, command: 'weather', args: { preset: 'stormy' } },
+        { version: WORLD_COMMAND_PROTOCOL_VERSION, command: 'time', args: { hour: 21, advance: true } },
+    ]);
+    assert.equal(text, 'The sky darkens.\n\nThunder rolls.');
+});
+
+test('reads JSON blocks and rejects versions newer than the protocol', () => {
+    const json = parseWorldCommandBlocks('<world>{"commands":[{"command":"wind","args":{"strength":1.5,"direction":90}}]}</world>');
+    assert.deepEqual(json.errors, []);
+    assert.deepEqual(json.commands[0].args, { strength: 1.5, direction: 90 });
+
+    const future = parseWorldCommandBlocks(`<world version="${WORLD_COMMAND_PROTOCOL_VERSION + 1}">weather clear</world>`);
+    assert.equal(future.commands.length, 0);
+    assert.match(future.errors[0], /unsupported protocol version/);
+
+    assert.match(parseWorldCommandBlocks('<world>{"command": </world>').errors[0], /invalid JSON/);
+});
+
+test('strips an unfinished block while it is still streaming in', () => {
+    assert.equal(stripWorldCommandBlocks('She waves.\n<world>weather ra'), 'She waves.');
+});
+
+test('validates argument types, ranges and names', () => {
+    assert.deepEqual(validateWorldCommand({ command: '/Weather', args: ['RAINY'] }).command.args, { preset: 'rainy' });
+    assert.deepEqual(validateWorldCommand({ command: 'effect', args: { name: 'flash' } }).command.args, { name: 'flash', duration: 0.6 });
+
+    const cases = [
+        [{ command: 'weather', args: ['hail'] }, /unknown value "hail"/],
+        [{ command: 'time', args: { hour: 25 } }, /must be at most 24/],
+        [{ command: 'time', args: { hour: 'noon' } }, /expected a number/],
+        [{ command: 'time', args: { hour: 3, advance: 'maybe' } }, /expected true or false/],
+        [{ command: 'say', args: { name: 'Mira' } }, /missing required argument "text"/],
+        [{ command: 'despawn', args: { name: 'Mira', loudly: true } }, /unknown argument "loudly"/],
+        [{ command: 'weather', args: ['clear', 'extra'] }, /too many arguments/],
+        [{ command: 'fly', args: [] }, /unknown command "fly"/],
+    ];
+    cases.forEach(([input, error]) => {
+        const validation = validateWorldCommand(input);
+        assert.equal(validation.ok, false, input.command);
+        assert.match(validation.errors.join('; '), error);
+    });
+});
+
+test('commands added to the registry are parsed like the built-in ones', () => {
+    assert.throws(() => registerWorldCommand('broken', { args: [{ name: 'x', type: 'vector' }] }), /unsupported type "vector"/);
+    registerWorldCommand('Echo', { description: 'Repeat a line.', args: [{ name: 'line', type: 'string', maxLength: 10, required: true }] });
+
+    assert.equal(getWorldCommandSchema('echo').description, 'Repeat a line.');
+    assert.ok(listWorldCommands().some((schema) => schema.name === 'echo'));
+    assert.deepEqual(parseWorldCommandBlocks('<world>echo "hi there"</world>').commands[0].args, { line: 'hi there' });
+    assert.match(validateWorldCommand({ command: 'echo', args: ['far too long a line'] }).errors[0], /at most 10 characters/);
+});
+
+test('a semicolon inside a quoted value does not end the command', () => {
+    const { commands, errors } = parseWorldCommandBlocks('<world>say Bob "hello there; friend"</world>');
+    assert.deepEqual(errors, []);
+    assert.equal(commands.length, 1);
+    assert.deepEqual(commands[0].args, { name: 'Bob', text: 'hello there; friend' });
+});
+
+test('semicolons and newlines outside quotes still separate commands', () => {
+    const { commands, errors } = parseWorldCommandBlocks("<world>weather rainy; say name=Bob text='wait; what?'\ntime 21</world>");
+    assert.deepEqual(errors, []);
+    assert.deepEqual(commands.map((command) => command.command), ['weather', 'say', 'time']);
+    assert.equal(commands[1].args.text, 'wait; what?');
+});
+
+test('an apostrophe inside a word does not open a quote', () => {
+    const { commands, errors } = parseWorldCommandBlocks("<world>say Bob it's; weather foggy</world>");
+    assert.deepEqual(errors, []);
+    assert.deepEqual(commands.map((command) => command.command), ['say', 'weather']);
+});
+
+test('NPC avatars must be paths on the host', () => {
+    const accepted = ['/thumbnail?type=avatar&file=Mira.png', '/characters/Mira.png'];
+    accepted.forEach((avatar) => {
+        assert.equal(validateWorldCommand({ command: 'npc', args: { name: 'Mira', avatar } }).ok, true, avatar);
+    });
+
+    const rejected = ['https://example.com/a.png', '//example.com/a.png', '/\\example.com/a.png', 'javascript:alert(1)', 'data:image/png;base64,AAAA', 'characters/Mira.png'];
+    rejected.forEach((avatar) => {
+        const validation = validateWorldCommand({ command: 'npc', args: { name: 'Mira', avatar } });
+        assert.equal(validation.ok, false, avatar);
+        assert.match(validation.errors[0], /argument "avatar"/);
+    });
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    addInventoryItem,
+    findInventoryItem,
+    formatInventory,
+    INVENTORY_LIMIT,
+    ITEM_STACK_LIMIT,
+    normalizeInventory,
+    removeInventoryItem,
+} from '../world-inventory.js';
+
+test('stacks items of the same kind and keeps notes that differ apart', () => {
+    let { inventory } = addInventoryItem([], { type: 'flower' });
+    ({ inventory } = addInventoryItem(inventory, { type: 'flower', quantity: 2 }));
+    ({ inventory } = addInventoryItem(inventory, { type: 'note', text: 'Meet me at the tower' }));
+    ({ inventory } = addInventoryItem(inventory, { type: 'note', text: 'Beware the river' }));
+
+    assert.deepEqual(inventory.map(({ name, quantity }) => [name, quantity]), [['wildflower', 3], ['folded note', 1], ['folded note', 1]]);
+    assert.equal(addInventoryItem(inventory, { type: 'stone', quantity: ITEM_STACK_LIMIT + 5 }).inventory[3].quantity, ITEM_STACK_LIMIT);
+});
+
+test('refuses invalid items and items beyond the slot limit', () => {
+    assert.equal(addInventoryItem([], { type: 'stone', quantity: 0 }).added, false);
+    assert.equal(addInventoryItem([], null).added, false);
+    assert.equal(addInventoryItem([], { type: 'sword', name: 'Blade' }).inventory[0].type, 'trinket');
+
+    const full = Array.from({ length: INVENTORY_LIMIT }, (_, index) => ({ type: 'trinket', name: `charm ${index}`, quantity: 1, text: null }));
+    assert.equal(addInventoryItem(full, { name: 'one more' }).added, false);
+    assert.equal(addInventoryItem(full, { name: 'charm 3' }).added, true);
+});
+
+test('removes part of a stack, or all of it without a quantity', () => {
+    const { inventory } = addInventoryItem([], { type: 'stone', name: 'Silver key', quantity: 3 });
+    assert.equal(findInventoryItem(inventory, 'silver KEY').quantity, 3);
+
+    const partial = removeInventoryItem(inventory, 'silver key', 2);
+    assert.equal(partial.removed.quantity, 2);
+    assert.equal(partial.inventory[0].quantity, 1);
+
+    const all = removeInventoryItem(inventory, 'silver key');
+    assert.equal(all.removed.quantity, 3);
+    assert.deepEqual(all.inventory, []);
+    assert.equal(removeInventoryItem(inventory, 'gold key').removed, null);
+});
+
+test('reads in the prompt with counts and note text', () => {
+    const inventory = normalizeInventory([{ type: 'stone', quantity: 2 }, { type: 'note', text: 'Meet me at dusk' }, 'junk']);
+    assert.equal(formatInventory(inventory), 'smooth stone (x2), folded note reading "Meet me at dusk"');
+    assert.equal(formatInventory([]), 'nothing');
+});
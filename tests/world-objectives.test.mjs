@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { isHourInRange, isObjectiveActive, matchesObjectiveEvent, parseObjectives, renderObjectiveMessage } from '../world-objectives.js';
+
+const parse = (table) => parseObjectives(JSON.stringify(table));
+
+test('an empty table means the built-in objectives', () => {
+    const { objectives, errors } = parseObjectives('');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(objectives.map((objective) => objective.id), ['tower', 'flower', 'rest', 'stars']);
+});
+
+test('reports invalid objectives and keeps the rest', () => {
+    const { objectives, errors } = parse([
+        { id: 'swim', type: 'dive', target: 'pond' },
+        { id: 'late', type: 'time', from: 22, to: 30 },
+        { id: 'greet', type: 'interact', target: 'ghost:mira' },
+        { id: 'key', type: 'pickup', target: 'Silver Key', after: 'door' },
+        { id: 'key', type: 'pickup', target: 'stone' },
+    ]);
+    assert.deepEqual(objectives.map((objective) => objective.id), ['key']);
+    assert.equal(objectives[0].target, 'silver key');
+    assert.equal(errors.length, 5);
+    assert.match(errors.join('\n'), /"swim": "type" must be one of/);
+    assert.match(errors.join('\n'), /"late": "from" and "to" must be hours/);
+    assert.match(errors.join('\n'), /"greet": "target" must start with avatar/);
+    assert.match(errors.join('\n'), /"key": duplicate id/);
+    assert.match(errors.join('\n'), /"key": "after" names unknown objective "door"/);
+    assert.match(parseObjectives('[').errors[0], /invalid JSON/);
+});
+
+test('matches reach, interact, pickup and time events', () => {
+    const { objectives } = parse([
+        { id: 'tower', type: 'reach', target: 'Western Tower' },
+        { id: 'sit', type: 'interact', target: 'prop:bench', action: 'sit' },
+        { id: 'any', type: 'pickup', target: '*' },
+        { id: 'night', type: 'time', from: 21, to: 4 },
+    ]);
+    const [reach, sit, any, night] = objectives;
+
+    assert.equal(matchesObjectiveEvent(reach, { type: 'reach', region: { id: 'western-tower' } }), true);
+    assert.equal(matchesObjectiveEvent(reach, { type: 'reach', region: { id: 'pond', name: 'The Pond' } }), false);
+    assert.equal(matchesObjectiveEvent(sit, { type: 'interact', action: 'sit', target: { kind: 'prop', type: 'bench' } }), true);
+    assert.equal(matchesObjectiveEvent(sit, { type: 'interact', action: 'read', target: { kind: 'prop', type: 'bench' } }), false);
+    assert.equal(matchesObjectiveEvent(sit, { type: 'interact', action: 'sit', target: { kind: 'npc', name: 'bench' } }), false);
+    assert.equal(matchesObjectiveEvent(any, { type: 'pickup', item: { type: 'stone' } }), true);
+    assert.equal(matchesObjectiveEvent(night, { type: 'time', hour: 2 }), true);
+    assert.equal(matchesObjectiveEvent(night, { type: 'time', hour: 12 }), false);
+    assert.equal(matchesObjectiveEvent(night, { type: 'reach', region: { id: 'night' } }), false);
+});
+
+test('wraps hour ranges past midnight and waits on earlier objectives', () => {
+    assert.equal(isHourInRange(23, 21, 4), true);
+    assert.equal(isHourInRange(-1, 21, 4), true);
+    assert.equal(isHourInRange(9, 8, 17), true);
+    assert.equal(isHourInRange(18, 8, 17), false);
+
+    const stars = { id: 'stars', after: 'tower' };
+    assert.equal(isObjectiveActive(stars, new Set()), false);
+    assert.equal(isObjectiveActive(stars, new Set(['tower'])), true);
+    assert.equal(isObjectiveActive(stars, new Set(['tower', 'stars'])), false);
+});
+
+test('renders the completion text', () => {
+    assert.equal(renderObjectiveMessage({ title: 'Find the $& tower', message: null }, { user: 'Ann' }), 'Ann completed an objective: Find the $& tower.');
+});
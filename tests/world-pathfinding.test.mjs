@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findGridPath, isSegmentWalkable, simplifyPath } from '../world-pathfinding.js';
+
+const bounds = { minX: -20, minZ: -20, maxX: 20, maxZ: 20 };
+// A wall along x = 0 from z = -10 to z = 10
+const wall = (x, z) => !(Math.abs(x) < 1 && Math.abs(z) < 10);
+
+function walkableAlong(path, start, isWalkable) {
+    let previous = start;
+    return path.every((point) => {
+        const ok = isSegmentWalkable(previous, point, { cellSize: 1, isWalkable });
+        previous = point;
+        return ok;
+    });
+}
+
+test('walks straight to the goal when nothing is in the way', () => {
+    assert.deepEqual(findGridPath({ x: -5, z: -15 }, { x: 5, z: -15 }, { bounds, isWalkable: wall }), [{ x: 5, z: -15 }]);
+});
+
+test('goes around an obstacle and ends exactly on the goal', () => {
+    const start = { x: -5, z: 0 };
+    const goal = { x: 5.3, z: 0.7 };
+    const path = findGridPath(start, goal, { bounds, cellSize: 1, isWalkable: wall });
+    assert.ok(path && path.length >= 2);
+    assert.deepEqual(path.at(-1), goal);
+    assert.ok(path.some((point) => Math.abs(point.z) >= 10));
+    assert.ok(walkableAlong(path, start, wall));
+});
+
+test('gives up on goals that are blocked, walled in or beyond the node limit', () => {
+    assert.equal(findGridPath({ x: -5, z: 0 }, { x: 0, z: 0 }, { bounds, isWalkable: wall }), null);
+
+    const moat = (x, z) => Math.hypot(x - 10, z) < 3 || Math.hypot(x - 10, z) > 5;
+    assert.equal(findGridPath({ x: -10, z: 0 }, { x: 10, z: 0 }, { bounds, cellSize: 1, isWalkable: moat }), null);
+    assert.equal(findGridPath({ x: -5, z: 0 }, { x: 5, z: 0 }, { bounds, cellSize: 1, isWalkable: wall, maxNodes: 3 }), null);
+    assert.throws(() => findGridPath({ x: 0, z: 0 }, { x: 1, z: 1 }, { bounds }), /needs bounds and an isWalkable callback/);
+});
+
+test('respects canStep between neighbouring spots', () => {
+    // Crossing z = 0 is only allowed near x = 15, like a single bridge over a river
+    const canStep = (from, to) => Math.sign(from.z) === Math.sign(to.z) || Math.abs(to.x - 15) < 2;
+    const start = { x: -10, z: -5 };
+    const goal = { x: -10, z: 5 };
+    const path = findGridPath(start, goal, { bounds, cellSize: 1, isWalkable: () => true, canStep });
+    assert.ok(path);
+    assert.ok(path.some((point) => point.x > 12));
+});
+
+test('drops waypoints a straight walk can skip', () => {
+    const points = [{ x: 0, z: 0 }, { x: 1, z: 0 }, { x: 2, z: 0 }, { x: 2, z: 2 }];
+    assert.deepEqual(simplifyPath(points, { cellSize: 1, isWalkable: () => true }), [{ x: 0, z: 0 }, { x: 2, z: 2 }]);
+    const blocked = (x, z) => !(x > 1.2 && x < 1.8 && z > 0.5 && z < 1.5);
+    assert.deepEqual(simplifyPath(points, { cellSize: 1, isWalkable: blocked }), [{ x: 0, z: 0 }, { x: 2, z: 0 }, { x: 2, z: 2 }]);
+});
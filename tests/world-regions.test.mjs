@@ -0,0 +1,13 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_REGION_ENTER_TEXT, formatRegionNote } from '../world-regions.js';
+
+test('fills every placeholder in a region note', () => {
+    assert.equal(formatRegionNote(DEFAULT_REGION_ENTER_TEXT, { user: 'Ann', region: 'the bridge' }), 'Ann entered the bridge.');
+    assert.equal(formatRegionNote('{{user}} and {{USER}} at {{region}}', { user: 'Ann', region: 'the pond' }), 'Ann and Ann at the pond');
+});
+
+test('keeps replacement patterns in names literal', () => {
+    assert.equal(formatRegionNote(DEFAULT_REGION_ENTER_TEXT, { user: '$&$1', region: "$'" }), "$&$1 entered $'.");
+});
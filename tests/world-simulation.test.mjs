@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWorldSimulation, isNightHour, RAIN_DURATION_SECONDS, stepClockHour, stepWeather, WEATHER_ROLL_INTERVAL } from '../world-simulation.js';
+
+const alwaysRain = () => 0;
+
+test('clear and foggy skies roll for rain once a minute', () => {
+    ['clear', 'foggy'].forEach((weather) => {
+        assert.equal(stepWeather({ weather }, WEATHER_ROLL_INTERVAL - 1, alwaysRain).changed, false);
+        assert.deepEqual(stepWeather({ weather }, WEATHER_ROLL_INTERVAL, alwaysRain), { weather: 'rainy', rollTimer: 0, rainTimer: 0, changed: true });
+    });
+});
+
+test('snow and overcast skies never turn to rain or clear on their own', () => {
+    ['snowy', 'overcast'].forEach((weather) => {
+        const next = stepWeather({ weather }, RAIN_DURATION_SECONDS * 10, alwaysRain);
+        assert.equal(next.weather, weather);
+        assert.equal(next.changed, false);
+    });
+});
+
+test('rain and storms clear after their duration', () => {
+    ['rainy', 'stormy'].forEach((weather) => {
+        assert.equal(stepWeather({ weather }, RAIN_DURATION_SECONDS - 1).changed, false);
+        assert.equal(stepWeather({ weather, rainTimer: RAIN_DURATION_SECONDS - 1 }, 1).weather, 'clear');
+    });
+});
+
+test('steps the clock by mode', () => {
+    assert.equal(stepClockHour(10, 60, { clockMode: 'paused' }), null);
+    assert.equal(stepClockHour(10, 60, { clockMode: 'story' }), null);
+    assert.equal(stepClockHour(10, 60, { clockMode: 'realtime', now: new Date(2024, 0, 1, 7, 15) }), 7.25);
+
+    const day = stepClockHour(12, 60, { clockMode: 'scaled', dayLength: 17 });
+    const night = stepClockHour(0, 60, { clockMode: 'scaled', dayLength: 17 });
+    assert.ok(day > 12 && night - 0 > day - 12);
+    assert.equal(isNightHour(0), true);
+    assert.equal(isNightHour(12), false);
+});
+
+test('the simulation ticks, follows viewers and applies time and weather commands', () => {
+    const simulation = createWorldSimulation({ timeOfDay: 23.5, weather: 'clear', random: alwaysRain });
+    assert.deepEqual(simulation.tick(0), { timeChanged: false, weatherChanged: false });
+
+    const { timeChanged, weatherChanged } = simulation.tick(WEATHER_ROLL_INTERVAL, { clockMode: 'scaled', dayLength: 17 });
+    assert.deepEqual([timeChanged, weatherChanged], [true, true]);
+    assert.equal(simulation.getState().weather, 'rainy');
+    assert.ok(simulation.getState().timeOfDay < 12, 'the clock wraps past midnight');
+
+    simulation.sync({ timeOfDay: 8, weather: 'snowy' });
+    assert.deepEqual(simulation.getState(), { timeOfDay: 8, weather: 'snowy' });
+
+    assert.equal(simulation.applyCommand({ command: 'weather', args: { preset: 'foggy' } }), true);
+    assert.equal(simulation.applyCommand({ command: 'weather', args: { preset: 'hail' } }), false);
+    assert.equal(simulation.applyCommand({ command: 'time', args: { hour: 20 } }), true);
+    assert.equal(simulation.applyCommand({ command: 'time', args: { hour: 6 } }, { clockMode: 'realtime' }), false);
+    assert.equal(simulation.applyCommand({ command: 'npc', args: { name: 'Mira' } }), false);
+    assert.deepEqual(simulation.getState(), { timeOfDay: 20, weather: 'foggy' });
+});
+
+test('reporting the same rain again does not restart it', () => {
+    const simulation = createWorldSimulation({ weather: 'rainy' });
+    simulation.tick(RAIN_DURATION_SECONDS - 10);
+    simulation.sync({ weather: 'rainy' });
+    simulation.tick(10);
+    assert.equal(simulation.getState().weather, 'clear');
+});
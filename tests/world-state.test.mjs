@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeWorldSnapshot } from '../world-state.js';
+
+test('keeps the player location and what was around them', () => {
+    const snapshot = normalizeWorldSnapshot({
+        location: {
+            regionId: 'bridge',
+            description: ' On the old bridge ',
+            nearby: [{ label: 'Mira', distance: 12.34 }, { label: 'tower', distance: 3 }, { label: '', distance: 1 }, { label: 'rock', distance: 'far' }],
+        },
+    });
+    assert.deepEqual(snapshot.location, {
+        regionId: 'bridge',
+        description: 'On the old bridge',
+        nearby: [{ label: 'tower', distance: 3 }, { label: 'Mira', distance: 12.3 }],
+    });
+});
+
+test('snapshots saved before locations were kept have none', () => {
+    assert.equal(normalizeWorldSnapshot({ timeOfDay: 9 }).location, null);
+});
+
+test('keeps one entry per name in the saved surroundings, the nearest', () => {
+    const { location } = normalizeWorldSnapshot({
+        location: { nearby: [{ label: 'Mira', distance: 9 }, { label: 'tower', distance: 20 }, { label: 'mira', distance: 4 }] },
+    });
+    assert.deepEqual(location.nearby, [{ label: 'mira', distance: 4 }, { label: 'tower', distance: 20 }]);
+});
@@ -0,0 +1,242 @@
+// The postMessage protocol between the extension and the scene: schemas, handshake and requests.
+
+export const BRIDGE_SOURCE = 'world-engine';
+export const BRIDGE_PROTOCOL_VERSION = 1;
+export const BRIDGE_REQUEST_TIMEOUT = 4000;
+export const BRIDGE_ROLES = ['host', 'scene'];
+
+// from: which side may send the message. payload: 'object' must be a plain object, 'object?' may also
+// be null or missing, 'none' carries nothing and 'any' is not checked. fields: required keys and their
+// types; a trailing '?' makes a key optional.
+export const BRIDGE_MESSAGE_SCHEMAS = {
+    'world-engine-hello': { from: 'both', payload: 'object', fields: { protocol: 'number', capabilities: 'array', token: 'string?' } },
+    'world-engine-ready': { from: 'both', payload: 'object', fields: { protocol: 'number', capabilities: 'array', token: 'string?' } },
+    'world-engine-response': { from: 'both', payload: 'object', fields: { ok: 'boolean', error: 'string?' } },
+    'world-engine-settings': { from: 'host', payload: 'object' },
+    'world-engine-chat': { from: 'both', payload: 'object' },
+    'world-engine-cast': { from: 'host', payload: 'object', fields: { members: 'array' } },
+    'world-engine-speaker': { from: 'host', payload: 'object?' },
+    'world-engine-restore': { from: 'host', payload: 'object', fields: { chatId: 'string?', snapshot: 'object?' } },
+    'world-engine-load-world': { from: 'host', payload: 'object', fields: { url: 'string?' } },
+    'world-engine-command': { from: 'host', payload: 'object', fields: { command: 'string', args: 'object' } },
+    'world-engine-interactions': { from: 'host', payload: 'object', fields: { actions: 'array' } },
+    'world-engine-interaction-result': { from: 'host', payload: 'object', fields: { ok: 'boolean' } },
+    'world-engine-objectives': { from: 'host', payload: 'object', fields: { objectives: 'array' } },
+    'world-engine-edit-mode': { from: 'both', payload: 'object', fields: { enabled: 'boolean' } },
+    'get-world-state': { from: 'host', payload: 'none' },
+    'world-engine-state': { from: 'scene', payload: 'object' },
+    'world-engine-state-diff': { from: 'scene', payload: 'object', fields: { changes: 'object', reasons: 'array', chatId: 'string?' } },
+    'world-engine-interaction': { from: 'scene', payload: 'object', fields: { action: 'string', target: 'object' } },
+    'world-engine-region': { from: 'scene', payload: 'object', fields: { event: 'string', region: 'object?' } },
+    'world-engine-npc': { from: 'scene', payload: 'object', fields: { event: 'string', name: 'string' } },
+    'world-engine-inventory': { from: 'scene', payload: 'object', fields: { event: 'string', item: 'object' } },
+    'world-engine-objective': { from: 'scene', payload: 'object', fields: { event: 'string', objective: 'object' } },
+    'world-engine-thunder': { from: 'scene', payload: 'object?' },
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+function matchesFieldType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return isPlainObject(value);
+    return typeof value === type;
+}
+
+function validatePayload(schema, payload, errors) {
+    switch (schema.payload) {
+        case 'none':
+            if (payload !== undefined && payload !== null) errors.push('expected no payload');
+            return;
+        case 'object?':
+            if (payload === undefined || payload === null) return;
+            break;
+        case 'object':
+            break;
+        default:
+            return;
+    }
+    if (!isPlainObject(payload)) {
+        errors.push('payload must be an object');
+        return;
+    }
+    Object.entries(schema.fields ?? {}).forEach(([name, spec]) => {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = payload[name];
+        if (value === undefined || value === null) {
+            if (!optional) errors.push(`"${name}" is required`);
+            return;
+        }
+        if (!matchesFieldType(value, type)) errors.push(`"${name}" must be ${type === 'array' ? 'an array' : `a ${type}`}`);
+    });
+}
+
+// from is the role of the side that sent the message; omit it to check the shape only.
+export function validateBridgeMessage(data, { from = null } = {}) {
+    if (!isPlainObject(data) || data.source !== BRIDGE_SOURCE) {
+        return { ok: false, errors: ['not a World Engine message'] };
+    }
+    const schema = BRIDGE_MESSAGE_SCHEMAS[data.type];
+    if (!schema) {
+        return { ok: false, errors: [`unknown message type "${data.type}"`] };
+    }
+
+    const errors = [];
+    if (from && schema.from !== 'both' && schema.from !== from) {
+        errors.push(`only the ${schema.from} may send it`);
+    }
+    if (data.requestId !== undefined && (typeof data.requestId !== 'string' || !data.requestId)) {
+        errors.push('"requestId" must be a non-empty string');
+    }
+    validatePayload(schema, data.payload, errors);
+    return errors.length ? { ok: false, errors: errors.map((error) => `${data.type}: ${error}`) } : { ok: true, errors: [] };
+}
+
+// Replies go back to whoever asked; opaque origins (sandboxed or file:// pages) cannot be named.
+export function resolveReplyOrigin(event) {
+    const origin = event?.origin;
+    return origin && origin !== 'null' ? origin : '*';
+}
+
+// One bridge per side. The host passes the token it put in the view URL so the scene can tell its
+// handshake apart from anyone else's. post and request throw or reject on messages that do not match
+// their schema; receive returns the message for the caller to handle, or null when it was invalid or
+// already dealt with (handshakes, responses and requests that have a handler).
+export function createWorldBridge({ role, capabilities = [], token = null, timeout = BRIDGE_REQUEST_TIMEOUT, onHandshake = null } = {}) {
+    if (!BRIDGE_ROLES.includes(role)) throw new Error(`Unknown bridge role: ${role}`);
+    const peerRole = role === 'host' ? 'scene' : 'host';
+    const pending = new Map();
+    const handlers = new Map();
+    let peers = new WeakMap();
+    let requestCounter = 0;
+
+    function post(target, type, payload, targetOrigin, requestId = undefined) {
+        if (!target || typeof target.postMessage !== 'function') throw new Error('No window to post to.');
+        if (!targetOrigin) throw new Error(`No target origin for ${type}.`);
+        const message = { source: BRIDGE_SOURCE, type, payload };
+        if (requestId !== undefined) message.requestId = requestId;
+        const validation = validateBridgeMessage(message, { from: role });
+        if (!validation.ok) throw new Error(validation.errors.join('; '));
+        target.postMessage(message, targetOrigin);
+    }
+
+    function request(target, type, payload, targetOrigin, { timeout: limit = timeout } = {}) {
+        requestCounter += 1;
+        const requestId = `${role}-${requestCounter}-${Date.now().toString(36)}`;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                pending.delete(requestId);
+                reject(new Error(`${type} timed out after ${limit} ms`));
+            }, limit);
+            pending.set(requestId, { target, resolve, reject, timer });
+            try {
+                post(target, type, payload, targetOrigin, requestId);
+            } catch (error) {
+                clearTimeout(timer);
+                pending.delete(requestId);
+                reject(error);
+            }
+        });
+    }
+
+    function reply(event, requestId, result) {
+        try {
+            post(event.source, 'world-engine-response', result, resolveReplyOrigin(event), requestId);
+        } catch (error) {
+            console.warn('[World Engine] Failed to answer bridge request.', error);
+        }
+    }
+
+    function describeSelf() {
+        const payload = { protocol: BRIDGE_PROTOCOL_VERSION, capabilities: [...capabilities] };
+        if (token) payload.token = token;
+        return payload;
+    }
+
+    function hello(target, targetOrigin) {
+        post(target, 'world-engine-hello', describeSelf(), targetOrigin);
+    }
+
+    function recordPeer(event, payload) {
+        const peer = { role: peerRole, protocol: payload.protocol, capabilities: payload.capabilities.filter((entry) => typeof entry === 'string') };
+        if (peer.protocol !== BRIDGE_PROTOCOL_VERSION) {
+            console.warn(`[World Engine] The ${peerRole} speaks bridge protocol ${peer.protocol}; this side speaks ${BRIDGE_PROTOCOL_VERSION}.`);
+        }
+        if (event.source) peers.set(event.source, peer);
+        onHandshake?.(peer, event);
+        return peer;
+    }
+
+    function settle(event, requestId, payload) {
+        const entry = pending.get(requestId);
+        if (!entry || entry.target !== event.source) return;
+        pending.delete(requestId);
+        clearTimeout(entry.timer);
+        if (payload.ok) {
+            entry.resolve(payload.result);
+        } else {
+            entry.reject(new Error(payload.error || 'Request failed.'));
+        }
+    }
+
+    function receive(event) {
+        const data = event?.data;
+        const validation = validateBridgeMessage(data, { from: peerRole });
+        if (!validation.ok) {
+            if (data?.source === BRIDGE_SOURCE) console.warn('[World Engine] Ignoring malformed message:', validation.errors.join('; '));
+            return null;
+        }
+
+        const { type, payload, requestId } = data;
+        if (type === 'world-engine-response') {
+            settle(event, requestId, payload);
+            return null;
+        }
+        if (type === 'world-engine-hello' || type === 'world-engine-ready') {
+            recordPeer(event, payload);
+            if (type === 'world-engine-hello' && event.source) {
+                try {
+                    post(event.source, 'world-engine-ready', describeSelf(), resolveReplyOrigin(event));
+                } catch (error) {
+                    console.warn('[World Engine] Failed to answer bridge handshake.', error);
+                }
+            }
+            return null;
+        }
+        if (requestId && handlers.has(type)) {
+            Promise.resolve()
+                .then(() => handlers.get(type)(payload, event))
+                .then(
+                    (result) => reply(event, requestId, { ok: true, result }),
+                    (error) => reply(event, requestId, { ok: false, error: String(error?.message ?? error) }),
+                );
+            return null;
+        }
+        return { type, payload, requestId: requestId ?? null };
+    }
+
+    // Answers requests of this type; plain messages of the same type still reach the caller.
+    function handle(type, handler) {
+        if (!BRIDGE_MESSAGE_SCHEMAS[type]) throw new Error(`Unknown message type: ${type}`);
+        handlers.set(type, handler);
+    }
+
+    function getPeer(target) {
+        return target ? peers.get(target) ?? null : null;
+    }
+
+    function supports(target, capability) {
+        return Boolean(getPeer(target)?.capabilities.includes(capability));
+    }
+
+    function dispose() {
+        pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error('Bridge closed.'));
+        });
+        pending.clear();
+        peers = new WeakMap();
+    }
+
+    return { role, post, request, hello, receive, handle, getPeer, supports, dispose };
+}
@@ -0,0 +1,59 @@
+// How the world's clock moves: the modes, their limits and how the prompt describes them.
+
+export const CLOCK_MODES = ['scaled', 'paused', 'realtime', 'story'];
+export const DAY_LENGTH_RANGE = [1, 240]; // Real minutes for a full 24 hours
+export const DEFAULT_DAY_LENGTH = 17;
+export const STORY_HOURS_RANGE = [0.25, 12];
+export const DEFAULT_STORY_HOURS = 1;
+
+// Nights run faster than days, as they always have: 10 minutes of day to 7 of night by default.
+const DAY_SHARE = 10 / 17;
+
+function clampInRange(value, [min, max], fallback) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return fallback;
+    return Math.min(max, Math.max(min, numeric));
+}
+
+export function normalizeClockMode(value) {
+    return CLOCK_MODES.includes(value) ? value : CLOCK_MODES[0];
+}
+
+export function clampDayLength(value) {
+    return Math.round(clampInRange(value, DAY_LENGTH_RANGE, DEFAULT_DAY_LENGTH));
+}
+
+export function clampStoryHours(value) {
+    return Math.round(clampInRange(value, STORY_HOURS_RANGE, DEFAULT_STORY_HOURS) * 4) / 4;
+}
+
+// Twelve in-game hours take DAY_SHARE (or the rest, at night) of the configured day length.
+export function getClockHoursPerSecond(dayLength, night = false) {
+    const seconds = clampDayLength(dayLength) * 60 * (night ? 1 - DAY_SHARE : DAY_SHARE);
+    return 12 / seconds;
+}
+
+export function getSystemClockHour(date = new Date()) {
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+export function advanceClockHour(hour, hours) {
+    const next = (Number(hour) || 0) + (Number(hours) || 0);
+    return ((next % 24) + 24) % 24;
+}
+
+// Filled into the {{clock}} prompt placeholder so the model knows whether time moves on its own.
+export function describeClockMode(mode, { dayLength = DEFAULT_DAY_LENGTH, storyHours = DEFAULT_STORY_HOURS } = {}) {
+    switch (normalizeClockMode(mode)) {
+        case 'paused':
+            return 'time stands still until the story moves it';
+        case 'realtime':
+            return 'time follows the real-world clock';
+        case 'story': {
+            const hours = clampStoryHours(storyHours);
+            return `about ${hours} ${hours === 1 ? 'hour passes' : 'hours pass'} with each reply`;
+        }
+        default:
+            return `a full day passes in ${clampDayLength(dayLength)} minutes`;
+    }
+}
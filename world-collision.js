@@ -0,0 +1,250 @@
+// Collision shapes and a spatial hash for the scene's movement code.
+
+export const COLLIDER_SHAPES = ['circle', 'box', 'obb', 'heightfield'];
+export const WATER_BEHAVIORS = ['wade', 'block'];
+export const DEFAULT_COLLISION_CELL_SIZE = 8;
+
+const RESOLVE_ITERATIONS = 3;
+const EPSILON = 1e-6;
+
+// Everything works on the ground plane (x, z). Solid shapes can be limited to a height band with
+// minY/maxY so the player can walk under or step over them; height fields raise the floor instead
+// of pushing the player out.
+export function createCircleCollider(x, z, radius, options = {}) {
+    return { ...options, shape: 'circle', x, z, radius };
+}
+
+export function createBoxCollider(minX, minZ, maxX, maxZ, options = {}) {
+    return {
+        ...options,
+        shape: 'box',
+        minX: Math.min(minX, maxX),
+        minZ: Math.min(minZ, maxZ),
+        maxX: Math.max(minX, maxX),
+        maxZ: Math.max(minZ, maxZ),
+    };
+}
+
+// Angle is a yaw in radians, matching THREE's rotation.y.
+export function createOrientedBoxCollider(x, z, halfWidth, halfDepth, angle = 0, options = {}) {
+    return { ...options, shape: 'obb', x, z, halfWidth, halfDepth, angle };
+}
+
+// heightAt(x, z) returns the floor height inside the bounds, or null where the field does not apply.
+export function createHeightFieldCollider(minX, minZ, maxX, maxZ, heightAt, options = {}) {
+    return { ...createBoxCollider(minX, minZ, maxX, maxZ, options), shape: 'heightfield', heightAt };
+}
+
+export function getColliderBounds(collider) {
+    switch (collider.shape) {
+        case 'circle':
+            return {
+                minX: collider.x - collider.radius,
+                minZ: collider.z - collider.radius,
+                maxX: collider.x + collider.radius,
+                maxZ: collider.z + collider.radius,
+            };
+        case 'obb': {
+            const cos = Math.abs(Math.cos(collider.angle));
+            const sin = Math.abs(Math.sin(collider.angle));
+            const extentX = collider.halfWidth * cos + collider.halfDepth * sin;
+            const extentZ = collider.halfWidth * sin + collider.halfDepth * cos;
+            return { minX: collider.x - extentX, minZ: collider.z - extentZ, maxX: collider.x + extentX, maxZ: collider.z + extentZ };
+        }
+        default:
+            return { minX: collider.minX, minZ: collider.minZ, maxX: collider.maxX, maxZ: collider.maxZ };
+    }
+}
+
+function pushOutOfBox(x, z, radius, minX, minZ, maxX, maxZ) {
+    const closestX = Math.max(minX, Math.min(x, maxX));
+    const closestZ = Math.max(minZ, Math.min(z, maxZ));
+    const dx = x - closestX;
+    const dz = z - closestZ;
+    const distSq = dx * dx + dz * dz;
+
+    if (distSq > EPSILON) {
+        if (distSq >= radius * radius) return null;
+        const dist = Math.sqrt(distSq);
+        return { nx: dx / dist, nz: dz / dist, depth: radius - dist };
+    }
+
+    // Centre is inside the box: leave through the nearest face
+    const exits = [
+        { nx: -1, nz: 0, depth: x - minX + radius },
+        { nx: 1, nz: 0, depth: maxX - x + radius },
+        { nx: 0, nz: -1, depth: z - minZ + radius },
+        { nx: 0, nz: 1, depth: maxZ - z + radius },
+    ];
+    return exits.reduce((best, exit) => (exit.depth < best.depth ? exit : best));
+}
+
+// Returns the push-out normal and depth for a circle at (x, z), or null when they do not touch.
+export function getCircleContact(collider, x, z, radius) {
+    switch (collider.shape) {
+        case 'circle': {
+            const dx = x - collider.x;
+            const dz = z - collider.z;
+            const reach = collider.radius + radius;
+            const distSq = dx * dx + dz * dz;
+            if (distSq >= reach * reach) return null;
+            const dist = Math.sqrt(distSq);
+            if (dist < EPSILON) return { nx: 1, nz: 0, depth: reach };
+            return { nx: dx / dist, nz: dz / dist, depth: reach - dist };
+        }
+        case 'box':
+            return pushOutOfBox(x, z, radius, collider.minX, collider.minZ, collider.maxX, collider.maxZ);
+        case 'obb': {
+            // Work in the box's local frame, then rotate the normal back
+            const cos = Math.cos(collider.angle);
+            const sin = Math.sin(collider.angle);
+            const dx = x - collider.x;
+            const dz = z - collider.z;
+            const localX = dx * cos - dz * sin;
+            const localZ = dx * sin + dz * cos;
+            const contact = pushOutOfBox(localX, localZ, radius, -collider.halfWidth, -collider.halfDepth, collider.halfWidth, collider.halfDepth);
+            if (!contact) return null;
+            return {
+                nx: contact.nx * cos + contact.nz * sin,
+                nz: -contact.nx * sin + contact.nz * cos,
+                depth: contact.depth,
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+export function containsPoint(collider, x, z) {
+    if (collider.shape === 'circle') {
+        return (x - collider.x) ** 2 + (z - collider.z) ** 2 <= collider.radius ** 2;
+    }
+    return getCircleContact({ ...collider, shape: collider.shape === 'heightfield' ? 'box' : collider.shape }, x, z, 0) !== null;
+}
+
+// A collider without a height band blocks at every height. Otherwise the player's feet must be
+// below its top (minus what they can step over) and their head above its bottom.
+function overlapsHeightBand(collider, feetY, headY, stepHeight) {
+    if (feetY === undefined) return true;
+    const top = collider.maxY ?? Infinity;
+    const bottom = collider.minY ?? -Infinity;
+    return feetY + stepHeight < top && (headY ?? feetY) > bottom;
+}
+
+export function createCollisionWorld({ cellSize = DEFAULT_COLLISION_CELL_SIZE } = {}) {
+    const cells = new Map();
+    const colliderCells = new Map();
+
+    const forEachCell = ({ minX, minZ, maxX, maxZ }, callback) => {
+        const startX = Math.floor(minX / cellSize);
+        const endX = Math.floor(maxX / cellSize);
+        const startZ = Math.floor(minZ / cellSize);
+        const endZ = Math.floor(maxZ / cellSize);
+        for (let cx = startX; cx <= endX; cx++) {
+            for (let cz = startZ; cz <= endZ; cz++) {
+                callback(`${cx},${cz}`);
+            }
+        }
+    };
+
+    const insert = (collider) => {
+        const keys = [];
+        forEachCell(getColliderBounds(collider), (key) => {
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                cells.set(key, cell);
+            }
+            cell.add(collider);
+            keys.push(key);
+        });
+        colliderCells.set(collider, keys);
+    };
+
+    const remove = (collider) => {
+        const keys = colliderCells.get(collider);
+        if (!keys) return false;
+        keys.forEach((key) => {
+            const cell = cells.get(key);
+            cell?.delete(collider);
+            if (cell && !cell.size) cells.delete(key);
+        });
+        colliderCells.delete(collider);
+        return true;
+    };
+
+    const query = (bounds) => {
+        const found = new Set();
+        forEachCell(bounds, (key) => {
+            cells.get(key)?.forEach((collider) => found.add(collider));
+        });
+        return Array.from(found);
+    };
+
+    const queryPoint = (x, z) => query({ minX: x, minZ: z, maxX: x, maxZ: z })
+        .filter((collider) => containsPoint(collider, x, z));
+
+    return {
+        get size() {
+            return colliderCells.size;
+        },
+        add(collider) {
+            if (!COLLIDER_SHAPES.includes(collider?.shape)) {
+                throw new Error(`Unsupported collider shape "${collider?.shape}".`);
+            }
+            remove(collider);
+            insert(collider);
+            return collider;
+        },
+        remove,
+        // Call after moving, resizing or rotating a collider that is already registered
+        update(collider) {
+            if (remove(collider)) insert(collider);
+            return collider;
+        },
+        clear() {
+            cells.clear();
+            colliderCells.clear();
+        },
+        has: (collider) => colliderCells.has(collider),
+        query,
+        queryPoint,
+        // Highest height field floor at (x, z), or null when none covers it
+        sampleFloor(x, z) {
+            let floor = null;
+            queryPoint(x, z).forEach((collider) => {
+                if (collider.shape !== 'heightfield') return;
+                const height = collider.heightAt(x, z);
+                if (Number.isFinite(height) && (floor === null || height > floor)) floor = height;
+            });
+            return floor;
+        },
+        // Pushes a circle out of every solid collider it overlaps. Returns the corrected position
+        // and the contact normals so callers can cancel velocity into the surfaces.
+        resolveCircle(x, z, radius, { feetY, headY, stepHeight = 0, filter = null } = {}) {
+            let nextX = x;
+            let nextZ = z;
+            const contacts = [];
+
+            for (let i = 0; i < RESOLVE_ITERATIONS; i++) {
+                let moved = false;
+                const bounds = { minX: nextX - radius, minZ: nextZ - radius, maxX: nextX + radius, maxZ: nextZ + radius };
+                query(bounds).forEach((collider) => {
+                    if (collider.shape === 'heightfield' || collider.solid === false) return;
+                    if (filter && !filter(collider)) return;
+                    if (!overlapsHeightBand(collider, feetY, headY, stepHeight)) return;
+
+                    const contact = getCircleContact(collider, nextX, nextZ, radius);
+                    if (!contact) return;
+                    nextX += contact.nx * contact.depth;
+                    nextZ += contact.nz * contact.depth;
+                    contacts.push({ ...contact, collider });
+                    moved = true;
+                });
+                if (!moved) break;
+            }
+
+            return { x: nextX, z: nextZ, contacts };
+        },
+    };
+}
@@ -0,0 +1,434 @@
+// The world command protocol: the command registry, argument validation and the <world> block parser.
+
+import { TERRAIN_SIZE_RANGE } from './world-definition.js';
+
+export const WORLD_COMMAND_PROTOCOL_VERSION = 1;
+export const WEATHER_PRESETS = ['clear', 'overcast', 'foggy', 'rainy', 'stormy', 'snowy'];
+export const SPAWNABLE_TYPES = ['tree', 'rock', 'bench', 'lantern', 'sign'];
+export const WORLD_EFFECTS = ['flash', 'shake'];
+export const NPC_BEHAVIORS = ['idle', 'wander', 'patrol'];
+export const ITEM_TYPES = ['flower', 'stone', 'note', 'trinket'];
+// Coordinates are checked against the largest terrain a world file may declare; the scene then
+// rejects anything off the terrain of the world it actually loaded.
+export const WORLD_COORDINATE_LIMIT = TERRAIN_SIZE_RANGE[1] / 2;
+
+const WORLD_BLOCK_PATTERN = /<world\b([^>]*)>([\s\S]*?)<\/world\s*>/gi;
+const UNCLOSED_WORLD_BLOCK_PATTERN = /<world\b[\s\S]*$/i;
+const VERSION_ATTRIBUTE_PATTERN = /\bv(?:ersion)?\s*=\s*["']?(\d+)["']?/i;
+const TOKEN_PATTERN = /(?:([^\s="']+)=)?(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+
+const commandRegistry = new Map();
+
+const ARG_VALIDATORS = {
+    number(value, spec) {
+        const numeric = typeof value === 'number' ? value : Number(String(value).trim());
+        if (value === '' || !Number.isFinite(numeric)) {
+            return { error: `expected a number but got "${value}"` };
+        }
+        if (spec.min !== undefined && numeric < spec.min) {
+            return { error: `must be at least ${spec.min}` };
+        }
+        if (spec.max !== undefined && numeric > spec.max) {
+            return { error: `must be at most ${spec.max}` };
+        }
+        return { value: numeric };
+    },
+    string(value, spec) {
+        const text = String(value ?? '').trim();
+        if (!text) {
+            return { error: 'must not be empty' };
+        }
+        if (spec.maxLength && text.length > spec.maxLength) {
+            return { error: `must be at most ${spec.maxLength} characters` };
+        }
+        return { value: text };
+    },
+    enum(value, spec) {
+        const normalized = String(value ?? '').trim().toLowerCase();
+        const values = typeof spec.values === 'function' ? spec.values() : spec.values;
+        if (!values.includes(normalized)) {
+            return { error: `unknown value "${value}" (expected ${values.join(', ')})` };
+        }
+        return { value: normalized };
+    },
+    // A root-relative path on the host, such as a SillyTavern thumbnail, so a reply cannot make the
+    // viewer fetch from another origin.
+    path(value, spec) {
+        const result = ARG_VALIDATORS.string(value, spec);
+        if (result.error) return result;
+        if (!/^\/(?![\/\\])[^\s\\]*$/.test(result.value)) {
+            return { error: `must be a path on this server such as /thumbnail?type=avatar&file=name.png, not "${result.value}"` };
+        }
+        return result;
+    },
+    boolean(value) {
+        if (typeof value === 'boolean') return { value };
+        const normalized = String(value ?? '').trim().toLowerCase();
+        if (['true', 'yes', 'on', '1'].includes(normalized)) return { value: true };
+        if (['false', 'no', 'off', '0'].includes(normalized)) return { value: false };
+        return { error: `expected true or false but got "${value}"` };
+    },
+};
+
+export function registerWorldCommand(name, { description = '', args = [] } = {}) {
+    const key = String(name || '').trim().toLowerCase();
+    if (!key) {
+        throw new Error('World command name is required.');
+    }
+
+    args.forEach((spec) => {
+        if (!ARG_VALIDATORS[spec.type]) {
+            throw new Error(`World command "${key}" has an argument with unsupported type "${spec.type}".`);
+        }
+    });
+
+    commandRegistry.set(key, { name: key, description, args });
+    return commandRegistry.get(key);
+}
+
+export function getWorldCommandSchema(name) {
+    return commandRegistry.get(String(name || '').trim().toLowerCase()) ?? null;
+}
+
+export function listWorldCommands() {
+    return Array.from(commandRegistry.values());
+}
+
+function normalizeArgInput(schema, args) {
+    if (Array.isArray(args)) {
+        const named = {};
+        args.forEach((value, index) => {
+            const spec = schema.args[index];
+            if (spec) named[spec.name] = value;
+        });
+        return { named, extra: args.length > schema.args.length ? args.slice(schema.args.length) : [] };
+    }
+
+    if (args && typeof args === 'object') {
+        return { named: { ...args }, extra: [] };
+    }
+
+    return { named: {}, extra: [] };
+}
+
+export function validateWorldCommand(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return { ok: false, errors: ['command payload must be an object'] };
+    }
+
+    const name = String(input.command ?? '').trim().toLowerCase().replace(/^\//, '');
+    const version = input.version === undefined ? WORLD_COMMAND_PROTOCOL_VERSION : Number(input.version);
+    if (!Number.isInteger(version) || version < 1 || version > WORLD_COMMAND_PROTOCOL_VERSION) {
+        return { ok: false, errors: [`${name || 'command'}: unsupported protocol version "${input.version}"`] };
+    }
+
+    const schema = getWorldCommandSchema(name);
+    if (!schema) {
+        return { ok: false, errors: [`unknown command "${input.command}"`] };
+    }
+
+    const { named, extra } = normalizeArgInput(schema, input.args);
+    if (extra.length) {
+        errors.push(`${name}: too many arguments (${extra.join(' ')})`);
+    }
+
+    const knownNames = new Set(schema.args.map((spec) => spec.name));
+    Object.keys(named).forEach((key) => {
+        if (!knownNames.has(key)) {
+            errors.push(`${name}: unknown argument "${key}"`);
+        }
+    });
+
+    const args = {};
+    schema.args.forEach((spec) => {
+        const raw = named[spec.name];
+        if (raw === undefined || raw === null || raw === '') {
+            if (spec.required) {
+                errors.push(`${name}: missing required argument "${spec.name}"`);
+            } else if (spec.default !== undefined) {
+                args[spec.name] = spec.default;
+            }
+            return;
+        }
+
+        const result = ARG_VALIDATORS[spec.type](raw, spec);
+        if (result.error) {
+            errors.push(`${name}: argument "${spec.name}" ${result.error}`);
+            return;
+        }
+        args[spec.name] = result.value;
+    });
+
+    if (errors.length) {
+        return { ok: false, errors };
+    }
+
+    return {
+        ok: true,
+        command: { version: WORLD_COMMAND_PROTOCOL_VERSION, command: name, args },
+    };
+}
+
+function tokenizeCommandLine(line) {
+    const tokens = [];
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(line)) !== null) {
+        tokens.push({
+            key: match[1] ? match[1].toLowerCase() : null,
+            value: match[2] ?? match[3] ?? match[4],
+        });
+    }
+    return tokens;
+}
+
+function parseCommandLine(line) {
+    const tokens = tokenizeCommandLine(line);
+    if (!tokens.length) return null;
+    if (tokens[0].key) return { command: line, args: [] };
+
+    const [{ value: command }, ...rest] = tokens;
+    const positional = rest.filter((token) => !token.key).map((token) => token.value);
+    const named = {};
+    rest.filter((token) => token.key).forEach((token) => {
+        named[token.key] = token.value;
+    });
+
+    if (positional.length && Object.keys(named).length) {
+        const schema = getWorldCommandSchema(command);
+        if (schema) {
+            const { named: fromPositional } = normalizeArgInput(schema, positional);
+            return { command, args: { ...fromPositional, ...named } };
+        }
+    }
+
+    return { command, args: Object.keys(named).length ? named : positional };
+}
+
+function parseJsonBlock(body) {
+    const parsed = JSON.parse(body);
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed?.commands)) {
+        return parsed.commands.map((entry) => ({ version: parsed.version, ...entry }));
+    }
+    return [parsed];
+}
+
+// Statements end at a newline or at a semicolon outside a quoted value. Quotes only open at the start
+// of a token, the same as in TOKEN_PATTERN, so an apostrophe inside a word does not.
+function splitStatements(body) {
+    const statements = [];
+    let current = '';
+    let quote = null;
+    for (const char of body) {
+        if (char === '\n' || char === '\r') {
+            statements.push(current);
+            current = '';
+            quote = null;
+            continue;
+        }
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === ';') {
+            statements.push(current);
+            current = '';
+            continue;
+        } else if ((char === '"' || char === "'") && /(^|[\s=])$/.test(current)) {
+            quote = char;
+        }
+        current += char;
+    }
+    statements.push(current);
+    return statements;
+}
+
+function parseBlockBody(body, blockVersion) {
+    const trimmed = body.trim();
+    if (!trimmed) return { entries: [], errors: [] };
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            const entries = parseJsonBlock(trimmed).map((entry) => ({
+                ...entry,
+                version: entry?.version ?? blockVersion,
+            }));
+            return { entries, errors: [] };
+        } catch (error) {
+            return { entries: [], errors: [`invalid JSON in <world> block: ${error.message}`] };
+        }
+    }
+
+    const entries = splitStatements(trimmed)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'))
+        .map(parseCommandLine)
+        .filter(Boolean)
+        .map((entry) => ({ ...entry, version: blockVersion }));
+
+    return { entries, errors: [] };
+}
+
+export function stripWorldCommandBlocks(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return text
+        .replace(WORLD_BLOCK_PATTERN, '')
+        .replace(UNCLOSED_WORLD_BLOCK_PATTERN, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+export function parseWorldCommandBlocks(text) {
+    const result = { commands: [], errors: [], text: stripWorldCommandBlocks(text) };
+    if (typeof text !== 'string' || !text) return result;
+
+    let match;
+    WORLD_BLOCK_PATTERN.lastIndex = 0;
+    while ((match = WORLD_BLOCK_PATTERN.exec(text)) !== null) {
+        const versionMatch = match[1]?.match(VERSION_ATTRIBUTE_PATTERN);
+        const blockVersion = versionMatch ? Number(versionMatch[1]) : WORLD_COMMAND_PROTOCOL_VERSION;
+        const { entries, errors } = parseBlockBody(match[2], blockVersion);
+        result.errors.push(...errors);
+
+        entries.forEach((entry) => {
+            const validation = validateWorldCommand(entry);
+            if (validation.ok) {
+                result.commands.push(validation.command);
+            } else {
+                result.errors.push(...validation.errors);
+            }
+        });
+    }
+
+    return result;
+}
+
+registerWorldCommand('weather', {
+    description: 'Switch the weather preset.',
+    args: [
+        { name: 'preset', type: 'enum', values: WEATHER_PRESETS, required: true },
+    ],
+});
+
+registerWorldCommand('wind', {
+    description: 'Set the wind strength (0-2) and the compass direction it blows towards in degrees.',
+    args: [
+        { name: 'strength', type: 'number', min: 0, max: 2, required: true },
+        { name: 'direction', type: 'number', min: 0, max: 360 },
+    ],
+});
+
+registerWorldCommand('time', {
+    description: 'Set the time of day in hours (0-24). With advance=true the clock runs forward to it instead of fading.',
+    args: [
+        { name: 'hour', type: 'number', min: 0, max: 24, required: true },
+        { name: 'advance', type: 'boolean' },
+    ],
+});
+
+registerWorldCommand('teleport', {
+    description: 'Move the player to world coordinates. Yaw is in degrees.',
+    args: [
+        { name: 'x', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT, required: true },
+        { name: 'z', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT, required: true },
+        { name: 'yaw', type: 'number', min: -360, max: 360 },
+    ],
+});
+
+registerWorldCommand('spawn', {
+    description: 'Place a prop in the world. Rotation is in degrees.',
+    args: [
+        { name: 'type', type: 'enum', values: SPAWNABLE_TYPES, required: true },
+        { name: 'x', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT, required: true },
+        { name: 'z', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT, required: true },
+        { name: 'scale', type: 'number', min: 0.2, max: 4, default: 1 },
+        { name: 'id', type: 'string', maxLength: 64 },
+        { name: 'rotation', type: 'number', min: -360, max: 360 },
+    ],
+});
+
+registerWorldCommand('npc', {
+    description: 'Spawn or update an NPC. Place it "at" a landmark, region, prop, character or the player, or at x/z. Waypoints are names or "x,z" pairs separated by ">" (an unquoted semicolon would end the command line). The avatar must be an image path on this server, such as a character thumbnail.',
+    args: [
+        { name: 'name', type: 'string', maxLength: 48, required: true },
+        { name: 'at', type: 'string', maxLength: 64 },
+        { name: 'behavior', type: 'enum', values: NPC_BEHAVIORS },
+        { name: 'x', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT },
+        { name: 'z', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT },
+        { name: 'waypoints', type: 'string', maxLength: 256 },
+        { name: 'greeting', type: 'string', maxLength: 200 },
+        { name: 'avatar', type: 'path', maxLength: 512 },
+    ],
+});
+
+registerWorldCommand('say', {
+    description: 'Show a speech bubble above an NPC.',
+    args: [
+        { name: 'name', type: 'string', maxLength: 48, required: true },
+        { name: 'text', type: 'string', maxLength: 500, required: true },
+    ],
+});
+
+registerWorldCommand('despawn', {
+    description: 'Remove an NPC.',
+    args: [
+        { name: 'name', type: 'string', maxLength: 48, required: true },
+    ],
+});
+
+registerWorldCommand('moveto', {
+    description: 'Walk a character avatar to a landmark, region, prop, NPC, the player ("me") or back to its "pedestal", or to x/z. Defaults to the current speaker.',
+    args: [
+        { name: 'at', type: 'string', maxLength: 64 },
+        { name: 'x', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT },
+        { name: 'z', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT },
+        { name: 'character', type: 'string', maxLength: 64 },
+    ],
+});
+
+registerWorldCommand('follow', {
+    description: 'Make a character avatar follow the player, staying within radius metres, or stop following.',
+    args: [
+        { name: 'enabled', type: 'boolean', default: true },
+        { name: 'radius', type: 'number', min: 3, max: 20 },
+        { name: 'character', type: 'string', maxLength: 64 },
+    ],
+});
+
+registerWorldCommand('item', {
+    description: 'Leave a collectible item on the ground "at" a landmark, region, prop, character or the player, or at x/z. Notes can carry text.',
+    args: [
+        { name: 'type', type: 'enum', values: ITEM_TYPES, required: true },
+        { name: 'name', type: 'string', maxLength: 48 },
+        { name: 'at', type: 'string', maxLength: 64 },
+        { name: 'x', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT },
+        { name: 'z', type: 'number', min: -WORLD_COORDINATE_LIMIT, max: WORLD_COORDINATE_LIMIT },
+        { name: 'text', type: 'string', maxLength: 200 },
+    ],
+});
+
+registerWorldCommand('give', {
+    description: 'Put an item into the user\'s inventory.',
+    args: [
+        { name: 'item', type: 'string', maxLength: 48, required: true },
+        { name: 'quantity', type: 'number', min: 1, max: 99, default: 1 },
+        { name: 'type', type: 'enum', values: ITEM_TYPES, default: 'trinket' },
+        { name: 'text', type: 'string', maxLength: 200 },
+    ],
+});
+
+registerWorldCommand('take', {
+    description: 'Remove an item from the user\'s inventory; without a quantity the whole stack goes.',
+    args: [
+        { name: 'item', type: 'string', maxLength: 48, required: true },
+        { name: 'quantity', type: 'number', min: 1, max: 99 },
+    ],
+});
+
+registerWorldCommand('effect', {
+    description: 'Play a one-shot visual effect.',
+    args: [
+        { name: 'name', type: 'enum', values: WORLD_EFFECTS, required: true },
+        { name: 'duration', type: 'number', min: 0.1, max: 10, default: 0.6 },
+    ],
+});
@@ -0,0 +1,339 @@
+// Declarative world file format and its validation.
+
+import { REGION_SHAPES, slugifyRegionName } from './world-regions.js';
+
+export const WORLD_DEFINITION_VERSION = 1;
+export const DEFAULT_WORLD_PATH = 'worlds/park.json';
+export const WORLD_PROP_TYPES = ['tree', 'rock', 'bench', 'lantern', 'sign', 'tower'];
+export const SCATTER_PROP_TYPES = ['tree', 'rock', 'lantern'];
+export const TERRAIN_PROFILES = ['basin', 'flat'];
+export const TERRAIN_SIZE_RANGE = [10, 1000];
+
+const MAX_SCATTER_COUNT = 2000;
+const MAX_ENTRIES = 1000;
+
+export const DEFAULT_TERRAIN = Object.freeze({
+    profile: 'basin',
+    size: 120,
+    segments: 128,
+    noiseScale: 1,
+    basinRadius: 28,
+    basinFrequency: 0.18,
+    basinDepth: 3,
+    riverbedThreshold: -1.4,
+    riverbedHeight: -1.8,
+    plateauRadius: 8,
+    plateauHeight: 1.8,
+    outerHeight: 1,
+    outerVariation: 0.5,
+    lowColorThreshold: -0.8,
+    lowColor: Object.freeze([0.2, 0.4, 0.15]),
+    highColor: Object.freeze([0.29, 0.54, 0.21]),
+});
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readNumber(source, key, path, errors, { min = -Infinity, max = Infinity, fallback, required = false } = {}) {
+    const raw = source?.[key];
+    if (raw === undefined || raw === null) {
+        if (required) errors.push(`${path}.${key}: is required`);
+        return fallback;
+    }
+    const numeric = Number(raw);
+    if (typeof raw === 'boolean' || !Number.isFinite(numeric)) {
+        errors.push(`${path}.${key}: expected a number but got ${JSON.stringify(raw)}`);
+        return undefined;
+    }
+    if (numeric < min || numeric > max) {
+        errors.push(`${path}.${key}: must be between ${min} and ${max}`);
+        return undefined;
+    }
+    return numeric;
+}
+
+function readString(source, key, path, errors, { fallback = null, required = false, maxLength = 120 } = {}) {
+    const raw = source?.[key];
+    if (raw === undefined || raw === null || raw === '') {
+        if (required) errors.push(`${path}.${key}: is required`);
+        return fallback;
+    }
+    if (typeof raw !== 'string' || raw.length > maxLength) {
+        errors.push(`${path}.${key}: expected text of at most ${maxLength} characters`);
+        return undefined;
+    }
+    return raw;
+}
+
+function readEnum(source, key, path, errors, values, { fallback, required = false } = {}) {
+    const raw = source?.[key];
+    if (raw === undefined || raw === null || raw === '') {
+        if (required) errors.push(`${path}.${key}: is required`);
+        return fallback;
+    }
+    const normalized = String(raw).trim().toLowerCase();
+    if (!values.includes(normalized)) {
+        errors.push(`${path}.${key}: unknown value "${raw}" (expected ${values.join(', ')})`);
+        return undefined;
+    }
+    return normalized;
+}
+
+function readColor(source, key, path, errors, fallback) {
+    const raw = source?.[key];
+    if (raw === undefined || raw === null) return fallback;
+    if (Array.isArray(raw) && raw.length === 3 && raw.every((channel) => Number.isFinite(channel) && channel >= 0 && channel <= 1)) {
+        return raw.slice();
+    }
+    if (typeof raw === 'string' && /^#[0-9a-f]{6}$/i.test(raw)) {
+        return raw;
+    }
+    errors.push(`${path}.${key}: expected "#rrggbb" or an [r, g, b] array of 0-1 values`);
+    return undefined;
+}
+
+// Runs a per-entry reader and only keeps the entry when it produced no errors of its own.
+function readList(source, key, errors, readEntry) {
+    const raw = source?.[key];
+    if (raw === undefined || raw === null) return [];
+    if (!Array.isArray(raw)) {
+        errors.push(`${key}: expected an array`);
+        return [];
+    }
+    if (raw.length > MAX_ENTRIES) {
+        errors.push(`${key}: at most ${MAX_ENTRIES} entries are supported`);
+    }
+
+    return raw.slice(0, MAX_ENTRIES).map((entry, index) => {
+        const path = `${key}[${index}]`;
+        if (!isPlainObject(entry)) {
+            errors.push(`${path}: expected an object`);
+            return null;
+        }
+        const entryErrors = [];
+        const value = readEntry(entry, path, entryErrors);
+        errors.push(...entryErrors);
+        return entryErrors.length ? null : value;
+    }).filter(Boolean);
+}
+
+function readPoint(source, key, path, errors, { required = true } = {}) {
+    const raw = source?.[key];
+    if (!isPlainObject(raw)) {
+        if (required || raw !== undefined) errors.push(`${path}.${key}: expected an object with x and z`);
+        return null;
+    }
+    return {
+        x: readNumber(raw, 'x', `${path}.${key}`, errors, { required: true }),
+        z: readNumber(raw, 'z', `${path}.${key}`, errors, { required: true }),
+    };
+}
+
+function readTerrain(source, errors) {
+    const raw = source.terrain ?? {};
+    if (!isPlainObject(raw)) {
+        errors.push('terrain: expected an object');
+        return null;
+    }
+
+    const path = 'terrain';
+    const terrain = {
+        profile: readEnum(raw, 'profile', path, errors, TERRAIN_PROFILES, { fallback: DEFAULT_TERRAIN.profile }),
+        size: readNumber(raw, 'size', path, errors, { min: TERRAIN_SIZE_RANGE[0], max: TERRAIN_SIZE_RANGE[1], fallback: DEFAULT_TERRAIN.size }),
+        segments: readNumber(raw, 'segments', path, errors, { min: 1, max: 512, fallback: DEFAULT_TERRAIN.segments }),
+        lowColor: readColor(raw, 'lowColor', path, errors, DEFAULT_TERRAIN.lowColor.slice()),
+        highColor: readColor(raw, 'highColor', path, errors, DEFAULT_TERRAIN.highColor.slice()),
+    };
+
+    [
+        'noiseScale', 'basinRadius', 'basinFrequency', 'basinDepth', 'riverbedThreshold', 'riverbedHeight',
+        'plateauRadius', 'plateauHeight', 'outerHeight', 'outerVariation', 'lowColorThreshold',
+    ].forEach((key) => {
+        terrain[key] = readNumber(raw, key, path, errors, { min: -100, max: 100, fallback: DEFAULT_TERRAIN[key] });
+    });
+
+    if (terrain.segments !== undefined) terrain.segments = Math.round(terrain.segments);
+    return Object.values(terrain).includes(undefined) ? null : terrain;
+}
+
+function readWater(entry, path, errors) {
+    return {
+        name: readString(entry, 'name', path, errors),
+        x: readNumber(entry, 'x', path, errors, { fallback: 0 }),
+        z: readNumber(entry, 'z', path, errors, { fallback: 0 }),
+        width: readNumber(entry, 'width', path, errors, { min: 1, max: 1000, required: true }),
+        depth: readNumber(entry, 'depth', path, errors, { min: 1, max: 1000, required: true }),
+        level: readNumber(entry, 'level', path, errors, { min: -100, max: 100, fallback: -1 }),
+        color: readColor(entry, 'color', path, errors, '#2e8ec4'),
+        opacity: readNumber(entry, 'opacity', path, errors, { min: 0, max: 1, fallback: 0.8 }),
+    };
+}
+
+function readProp(entry, path, errors) {
+    return {
+        type: readEnum(entry, 'type', path, errors, WORLD_PROP_TYPES, { required: true }),
+        id: readString(entry, 'id', path, errors, { maxLength: 64 }),
+        x: readNumber(entry, 'x', path, errors, { required: true }),
+        y: readNumber(entry, 'y', path, errors, { min: -100, max: 100, fallback: null }),
+        z: readNumber(entry, 'z', path, errors, { required: true }),
+        scale: readNumber(entry, 'scale', path, errors, { min: 0.05, max: 20, fallback: 1 }),
+        rotation: readNumber(entry, 'rotation', path, errors, { min: -360, max: 360, fallback: 0 }),
+    };
+}
+
+function readExclusion(entry, path, errors) {
+    return {
+        minX: readNumber(entry, 'minX', path, errors, { required: true }),
+        maxX: readNumber(entry, 'maxX', path, errors, { required: true }),
+        minZ: readNumber(entry, 'minZ', path, errors, { required: true }),
+        maxZ: readNumber(entry, 'maxZ', path, errors, { required: true }),
+    };
+}
+
+function readScatter(entry, path, errors) {
+    const scatter = {
+        type: readEnum(entry, 'type', path, errors, SCATTER_PROP_TYPES, { required: true }),
+        count: readNumber(entry, 'count', path, errors, { min: 0, max: MAX_SCATTER_COUNT, required: true }),
+        x: readNumber(entry, 'x', path, errors, { fallback: 0 }),
+        z: readNumber(entry, 'z', path, errors, { fallback: 0 }),
+        minRadius: readNumber(entry, 'minRadius', path, errors, { min: 0, max: 1000, fallback: 0 }),
+        maxRadius: readNumber(entry, 'maxRadius', path, errors, { min: 0, max: 1000, required: true }),
+        minScale: readNumber(entry, 'minScale', path, errors, { min: 0.05, max: 20, fallback: 1 }),
+        maxScale: readNumber(entry, 'maxScale', path, errors, { min: 0.05, max: 20, fallback: 1 }),
+        exclude: readList(entry, 'exclude', errors, (box, boxPath, boxErrors) => readExclusion(box, `${path}.${boxPath}`, boxErrors)),
+    };
+
+    if (scatter.minRadius > scatter.maxRadius) errors.push(`${path}: minRadius must not exceed maxRadius`);
+    if (scatter.minScale > scatter.maxScale) errors.push(`${path}: minScale must not exceed maxScale`);
+    if (scatter.count !== undefined) scatter.count = Math.round(scatter.count);
+    return scatter;
+}
+
+function readBridge(entry, path, errors) {
+    const start = readPoint(entry, 'start', path, errors);
+    const end = readPoint(entry, 'end', path, errors);
+    if (start && end && start.x === end.x && start.z === end.z) {
+        errors.push(`${path}: start and end must be different points`);
+    }
+    return {
+        name: readString(entry, 'name', path, errors),
+        start,
+        end,
+    };
+}
+
+function readPolygonPoints(entry, path, errors) {
+    const points = entry.points;
+    if (!Array.isArray(points) || points.length < 3) {
+        errors.push(`${path}.points: expected at least three { x, z } points`);
+        return [];
+    }
+    return points.map((point, index) => readPoint(points, index, `${path}.points`, errors)).filter(Boolean);
+}
+
+function readRegion(entry, path, errors) {
+    const shape = readEnum(entry, 'shape', path, errors, REGION_SHAPES, { required: true });
+    const name = readString(entry, 'name', path, errors, { required: true });
+    const region = {
+        id: readString(entry, 'id', path, errors, { maxLength: 64 }) ?? slugifyRegionName(name),
+        name,
+        description: readString(entry, 'description', path, errors, { maxLength: 200 }) ?? name,
+        shape,
+        priority: readNumber(entry, 'priority', path, errors, { min: -1000, max: 1000, fallback: 0 }),
+        minY: readNumber(entry, 'minY', path, errors, { fallback: null }),
+        maxY: readNumber(entry, 'maxY', path, errors, { fallback: null }),
+        enterText: readString(entry, 'enterText', path, errors, { maxLength: 300 }),
+        exitText: readString(entry, 'exitText', path, errors, { maxLength: 300 }),
+    };
+
+    if (shape === 'circle') {
+        region.x = readNumber(entry, 'x', path, errors, { required: true });
+        region.z = readNumber(entry, 'z', path, errors, { required: true });
+        region.radius = readNumber(entry, 'radius', path, errors, { min: 0, max: 1000, required: true });
+    } else if (shape === 'box') {
+        // Missing box edges are open, so a box can also describe a half-plane like "everything north of z=20".
+        region.minX = readNumber(entry, 'minX', path, errors, { fallback: -Infinity });
+        region.maxX = readNumber(entry, 'maxX', path, errors, { fallback: Infinity });
+        region.minZ = readNumber(entry, 'minZ', path, errors, { fallback: -Infinity });
+        region.maxZ = readNumber(entry, 'maxZ', path, errors, { fallback: Infinity });
+    } else if (shape === 'polygon') {
+        region.points = readPolygonPoints(entry, path, errors);
+    }
+    return region;
+}
+
+export function validateWorldDefinition(input) {
+    const errors = [];
+    if (!isPlainObject(input)) {
+        return { world: null, errors: ['world file must contain a JSON object'] };
+    }
+
+    const version = input.version === undefined ? WORLD_DEFINITION_VERSION : Number(input.version);
+    if (!Number.isInteger(version) || version < 1 || version > WORLD_DEFINITION_VERSION) {
+        return { world: null, errors: [`unsupported world file version "${input.version}"`] };
+    }
+
+    const terrain = readTerrain(input, errors);
+    if (!terrain) {
+        return { world: null, errors };
+    }
+
+    const spawnErrors = [];
+    const spawn = {
+        x: readNumber(input.spawn, 'x', 'spawn', spawnErrors, { fallback: 0 }),
+        z: readNumber(input.spawn, 'z', 'spawn', spawnErrors, { fallback: 0 }),
+        yaw: readNumber(input.spawn, 'yaw', 'spawn', spawnErrors, { min: -360, max: 360, fallback: 0 }),
+    };
+    errors.push(...spawnErrors);
+
+    const pedestalErrors = [];
+    const pedestal = input.pedestal === undefined
+        ? { x: 0, z: 0 }
+        : readPoint(input, 'pedestal', 'world', pedestalErrors);
+    errors.push(...pedestalErrors);
+
+    const fireflyErrors = [];
+    const fireflies = {
+        x: readNumber(input.fireflies, 'x', 'fireflies', fireflyErrors, { fallback: 0 }),
+        z: readNumber(input.fireflies, 'z', 'fireflies', fireflyErrors, { fallback: 0 }),
+        radius: readNumber(input.fireflies, 'radius', 'fireflies', fireflyErrors, { min: 0, max: 1000, fallback: 25 }),
+        count: Math.round(readNumber(input.fireflies, 'count', 'fireflies', fireflyErrors, { min: 0, max: MAX_SCATTER_COUNT, fallback: 0 }) ?? 0),
+    };
+    errors.push(...fireflyErrors);
+
+    const world = {
+        version: WORLD_DEFINITION_VERSION,
+        name: readString(input, 'name', 'world', errors, { fallback: 'Untitled world' }) ?? 'Untitled world',
+        terrain,
+        water: readList(input, 'water', errors, readWater),
+        props: readList(input, 'props', errors, readProp),
+        scatter: readList(input, 'scatter', errors, readScatter),
+        bridges: readList(input, 'bridges', errors, readBridge),
+        pedestal: pedestalErrors.length ? { x: 0, z: 0 } : pedestal,
+        fireflies: fireflyErrors.length ? { x: 0, z: 0, radius: 25, count: 0 } : fireflies,
+        spawn: spawnErrors.length ? { x: 0, z: 0, yaw: 0 } : spawn,
+        regions: readList(input, 'regions', errors, readRegion),
+    };
+
+    return { world, errors };
+}
+
+export async function loadWorldDefinition(url, { fetchImpl = globalThis.fetch } = {}) {
+    if (typeof fetchImpl !== 'function') {
+        return { world: null, errors: ['fetch is not available'] };
+    }
+
+    let payload;
+    try {
+        const response = await fetchImpl(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            return { world: null, errors: [`request failed with status ${response.status}`] };
+        }
+        payload = await response.json();
+    } catch (error) {
+        return { world: null, errors: [`could not be read: ${error.message}`] };
+    }
+
+    return validateWorldDefinition(payload);
+}
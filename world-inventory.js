@@ -0,0 +1,88 @@
+// The player's inventory: stacking, removal and how it reads in the prompt.
+
+import { ITEM_TYPES } from './world-commands.js';
+
+export const INVENTORY_LIMIT = 24;
+export const ITEM_STACK_LIMIT = 99;
+export const ITEM_NAME_MAX_LENGTH = 48;
+export const ITEM_TEXT_MAX_LENGTH = 200;
+export const DEFAULT_ITEM_NAMES = {
+    flower: 'wildflower',
+    stone: 'smooth stone',
+    note: 'folded note',
+    trinket: 'trinket',
+};
+
+// Notes only stack with notes that say the same thing.
+function getItemKey({ type, name, text }) {
+    return `${type}:${name.toLowerCase()}:${text ?? ''}`;
+}
+
+function findItemIndex(inventory, name) {
+    const key = String(name ?? '').trim().toLowerCase();
+    return key ? inventory.findIndex((item) => item.name.toLowerCase() === key) : -1;
+}
+
+export function normalizeInventoryItem(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    const type = ITEM_TYPES.includes(entry.type) ? entry.type : 'trinket';
+    const name = String(entry.name ?? '').trim().slice(0, ITEM_NAME_MAX_LENGTH) || DEFAULT_ITEM_NAMES[type];
+    const quantity = Math.round(Number(entry.quantity ?? 1));
+    if (!Number.isFinite(quantity) || quantity < 1) return null;
+    const text = typeof entry.text === 'string' && entry.text.trim() ? entry.text.trim().slice(0, ITEM_TEXT_MAX_LENGTH) : null;
+
+    return { type, name, quantity: Math.min(quantity, ITEM_STACK_LIMIT), text };
+}
+
+export function normalizeInventory(list) {
+    if (!Array.isArray(list)) return [];
+    return list.reduce((inventory, entry) => addInventoryItem(inventory, entry).inventory, []);
+}
+
+export function findInventoryItem(inventory, name) {
+    return inventory[findItemIndex(inventory, name)] ?? null;
+}
+
+// Returns a new inventory; added is false when the item is invalid or every slot is taken.
+export function addInventoryItem(inventory, entry) {
+    const item = normalizeInventoryItem(entry);
+    if (!item) return { inventory, added: false };
+
+    const key = getItemKey(item);
+    const index = inventory.findIndex((existing) => getItemKey(existing) === key);
+    if (index >= 0) {
+        const next = inventory.slice();
+        next[index] = { ...inventory[index], quantity: Math.min(ITEM_STACK_LIMIT, inventory[index].quantity + item.quantity) };
+        return { inventory: next, added: true };
+    }
+    if (inventory.length >= INVENTORY_LIMIT) return { inventory, added: false };
+    return { inventory: [...inventory, item], added: true };
+}
+
+// Takes up to quantity of the named item (all of it when quantity is omitted). removed is what was
+// taken, or null when the player had none.
+export function removeInventoryItem(inventory, name, quantity = Infinity) {
+    const index = findItemIndex(inventory, name);
+    if (index < 0) return { inventory, removed: null };
+
+    const item = inventory[index];
+    const taken = Math.min(item.quantity, Math.max(1, Math.round(Number(quantity)) || 1));
+    const next = inventory.slice();
+    if (taken >= item.quantity) {
+        next.splice(index, 1);
+    } else {
+        next[index] = { ...item, quantity: item.quantity - taken };
+    }
+    return { inventory: next, removed: { ...item, quantity: taken } };
+}
+
+export function formatInventoryItem(item) {
+    const count = item.quantity > 1 ? ` (x${item.quantity})` : '';
+    const text = item.text ? ` reading "${item.text}"` : '';
+    return `${item.name}${count}${text}`;
+}
+
+export function formatInventory(inventory) {
+    if (!Array.isArray(inventory) || !inventory.length) return 'nothing';
+    return inventory.map(formatInventoryItem).join(', ');
+}
@@ -0,0 +1,187 @@
+// Objectives the player can complete in the scene: the objective table, event matching and completion text.
+
+import { slugifyRegionName } from './world-regions.js';
+
+export const OBJECTIVE_TYPES = ['reach', 'interact', 'pickup', 'time'];
+export const OBJECTIVE_DELIVERIES = ['off', 'narrator', 'user', 'prompt'];
+export const OBJECTIVE_TITLE_MAX_LENGTH = 80;
+export const DEFAULT_OBJECTIVE_MESSAGE = '{{user}} completed an objective: {{objective}}.';
+
+// reach: target is a region id or name. interact: target is "avatar", "npc" or "prop", optionally
+// narrowed to a name, id or type ("npc:mira", "prop:bench"), and action an optional action id.
+// pickup: target is an item type or name, or "*" for anything. time: the clock is between from and
+// to, wrapping past midnight. after names an objective that has to be completed first.
+export const DEFAULT_OBJECTIVES = [
+    {
+        id: 'tower',
+        title: 'Find the western tower',
+        type: 'reach',
+        target: 'western-tower',
+    },
+    {
+        id: 'flower',
+        title: 'Pick a wildflower',
+        type: 'pickup',
+        target: 'flower',
+    },
+    {
+        id: 'rest',
+        title: 'Sit down on a bench',
+        type: 'interact',
+        target: 'prop:bench',
+        action: 'sit',
+    },
+    {
+        id: 'stars',
+        title: 'Stay out until the stars come out',
+        type: 'time',
+        from: 21,
+        to: 4,
+        after: 'tower',
+        message: '{{user}} stayed out in the park until the stars came out.',
+    },
+];
+
+const lowerText = (value) => String(value ?? '').trim().toLowerCase();
+
+function normalizeHour(value) {
+    const hour = Number(value);
+    return Number.isFinite(hour) && hour >= 0 && hour <= 24 ? hour % 24 : null;
+}
+
+function normalizeObjective(objective, index, errors) {
+    const label = objective?.id ? `objective "${objective.id}"` : `objective ${index}`;
+    if (!objective || typeof objective !== 'object') {
+        errors.push(`${label}: expected an object`);
+        return null;
+    }
+
+    const id = String(objective.id ?? '').trim();
+    if (!id) {
+        errors.push(`${label}: "id" is required`);
+        return null;
+    }
+
+    const type = lowerText(objective.type);
+    if (!OBJECTIVE_TYPES.includes(type)) {
+        errors.push(`${label}: "type" must be one of ${OBJECTIVE_TYPES.join(', ')}`);
+        return null;
+    }
+
+    const normalized = {
+        id,
+        title: String(objective.title ?? id).trim().slice(0, OBJECTIVE_TITLE_MAX_LENGTH) || id,
+        type,
+        target: null,
+        action: null,
+        from: null,
+        to: null,
+        after: objective.after ? String(objective.after).trim() : null,
+        message: typeof objective.message === 'string' && objective.message.trim() ? objective.message.trim() : null,
+    };
+
+    if (type === 'time') {
+        normalized.from = normalizeHour(objective.from);
+        normalized.to = normalizeHour(objective.to);
+        if (normalized.from === null || normalized.to === null) {
+            errors.push(`${label}: "from" and "to" must be hours between 0 and 24`);
+            return null;
+        }
+        return normalized;
+    }
+
+    normalized.target = lowerText(objective.target);
+    if (!normalized.target) {
+        errors.push(`${label}: "target" is required`);
+        return null;
+    }
+    if (type === 'interact') {
+        const [kind] = normalized.target.split(':');
+        if (!['avatar', 'npc', 'prop', 'item'].includes(kind)) {
+            errors.push(`${label}: "target" must start with avatar, npc, prop or item`);
+            return null;
+        }
+        normalized.action = objective.action ? lowerText(objective.action) : null;
+    }
+    return normalized;
+}
+
+export function parseObjectives(input) {
+    const errors = [];
+    let raw = input;
+    if (typeof input === 'string') {
+        if (!input.trim()) return { objectives: DEFAULT_OBJECTIVES.map((objective, index) => normalizeObjective(objective, index, errors)), errors };
+        try {
+            raw = JSON.parse(input);
+        } catch (error) {
+            return { objectives: [], errors: [`invalid JSON: ${error.message}`] };
+        }
+    }
+
+    if (!Array.isArray(raw)) {
+        return { objectives: [], errors: ['objective table must be a JSON array'] };
+    }
+
+    const objectives = [];
+    raw.forEach((entry, index) => {
+        const objective = normalizeObjective(entry, index, errors);
+        if (!objective) return;
+        if (objectives.some((existing) => existing.id === objective.id)) {
+            errors.push(`objective "${objective.id}": duplicate id`);
+            return;
+        }
+        objectives.push(objective);
+    });
+
+    objectives.forEach((objective) => {
+        if (objective.after && !objectives.some((other) => other.id === objective.after)) {
+            errors.push(`objective "${objective.id}": "after" names unknown objective "${objective.after}"`);
+        }
+    });
+
+    return { objectives, errors };
+}
+
+export function isHourInRange(hour, from, to) {
+    const value = ((Number(hour) % 24) + 24) % 24;
+    return from <= to ? value >= from && value <= to : value >= from || value <= to;
+}
+
+// Open and not waiting on another objective.
+export function isObjectiveActive(objective, completed) {
+    return !completed.has(objective.id) && (!objective.after || completed.has(objective.after));
+}
+
+function matchesInteractTarget(pattern, target) {
+    const [kind, qualifier = null] = pattern.split(':');
+    if (kind !== target?.kind) return false;
+    if (!qualifier) return true;
+    return [target.type, target.id, target.name].some((value) => lowerText(value) === qualifier);
+}
+
+// Events: { type: 'reach', region }, { type: 'interact', action, target }, { type: 'pickup', item }
+// and { type: 'time', hour }.
+export function matchesObjectiveEvent(objective, event) {
+    if (!event || event.type !== objective.type) return false;
+    switch (objective.type) {
+        case 'reach': {
+            const slug = slugifyRegionName(objective.target);
+            return event.region?.id === slug || slugifyRegionName(event.region?.name) === slug;
+        }
+        case 'interact':
+            return (!objective.action || objective.action === lowerText(event.action)) && matchesInteractTarget(objective.target, event.target);
+        case 'pickup':
+            return objective.target === '*' || [event.item?.type, event.item?.name].some((value) => lowerText(value) === objective.target);
+        case 'time':
+            return isHourInRange(event.hour, objective.from, objective.to);
+        default:
+            return false;
+    }
+}
+
+export function renderObjectiveMessage(objective, { user = 'User' } = {}) {
+    const values = { user, objective: objective.title };
+    return String(objective.message ?? DEFAULT_OBJECTIVE_MESSAGE)
+        .replace(/\{\{(user|objective)\}\}/gi, (_match, key) => values[key.toLowerCase()])
+        .trim();
+}
@@ -0,0 +1,174 @@
+// Grid path finding across the ground plane.
+
+export const DEFAULT_PATH_CELL_SIZE = 1.5;
+export const DEFAULT_PATH_NODE_LIMIT = 20000;
+
+const NEIGHBOURS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1],
+];
+
+function createMinHeap() {
+    const items = [];
+    const swap = (a, b) => {
+        [items[a], items[b]] = [items[b], items[a]];
+    };
+
+    return {
+        get size() {
+            return items.length;
+        },
+        push(item) {
+            items.push(item);
+            let index = items.length - 1;
+            while (index > 0) {
+                const parent = (index - 1) >> 1;
+                if (items[parent].priority <= items[index].priority) break;
+                swap(parent, index);
+                index = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                let index = 0;
+                for (;;) {
+                    const left = index * 2 + 1;
+                    const right = left + 1;
+                    let smallest = index;
+                    if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                    if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                    if (smallest === index) break;
+                    swap(smallest, index);
+                    index = smallest;
+                }
+            }
+            return top;
+        },
+    };
+}
+
+function octileDistance(ax, az, bx, bz) {
+    const dx = Math.abs(ax - bx);
+    const dz = Math.abs(az - bz);
+    return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+}
+
+// Samples the segment at half-cell spacing, so thin obstacles between grid points are not skipped.
+export function isSegmentWalkable(from, to, { cellSize = DEFAULT_PATH_CELL_SIZE, isWalkable, canStep = () => true }) {
+    const length = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.max(1, Math.ceil(length / (cellSize / 2)));
+    let previous = from;
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const point = { x: from.x + (to.x - from.x) * t, z: from.z + (to.z - from.z) * t };
+        if (!isWalkable(point.x, point.z) || !canStep(previous, point)) return false;
+        previous = point;
+    }
+    return true;
+}
+
+// Drops every waypoint that can be skipped with a straight walk from the one before it.
+export function simplifyPath(points, options) {
+    if (points.length <= 2) return points.slice();
+    const simplified = [points[0]];
+    let anchor = 0;
+    while (anchor < points.length - 1) {
+        let next = points.length - 1;
+        while (next > anchor + 1 && !isSegmentWalkable(points[anchor], points[next], options)) next--;
+        simplified.push(points[next]);
+        anchor = next;
+    }
+    return simplified;
+}
+
+// A* over a square grid, described by isWalkable(x, z) for a spot and canStep(from, to) between
+// neighbouring spots (slopes, bridge ends), then shortened to the fewest straight segments they allow.
+// Returns the waypoints after start, ending exactly on goal, or null when goal cannot be reached
+// inside bounds. A start that is not walkable itself (say, the player is standing in a bush) is allowed.
+export function findGridPath(start, goal, {
+    bounds,
+    cellSize = DEFAULT_PATH_CELL_SIZE,
+    isWalkable,
+    canStep = () => true,
+    maxNodes = DEFAULT_PATH_NODE_LIMIT,
+} = {}) {
+    if (typeof isWalkable !== 'function' || !bounds) {
+        throw new Error('findGridPath needs bounds and an isWalkable callback.');
+    }
+
+    const columns = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / cellSize));
+    const rows = Math.max(1, Math.ceil((bounds.maxZ - bounds.minZ) / cellSize));
+    const toCell = ({ x, z }) => ({
+        cx: Math.min(columns - 1, Math.max(0, Math.floor((x - bounds.minX) / cellSize))),
+        cz: Math.min(rows - 1, Math.max(0, Math.floor((z - bounds.minZ) / cellSize))),
+    });
+    const cellCenter = (cx, cz) => ({ x: bounds.minX + (cx + 0.5) * cellSize, z: bounds.minZ + (cz + 0.5) * cellSize });
+    const keyOf = (cx, cz) => cz * columns + cx;
+
+    if (!isWalkable(goal.x, goal.z)) return null;
+    const options = { cellSize, isWalkable, canStep };
+    if (isSegmentWalkable(start, goal, options)) return [{ x: goal.x, z: goal.z }];
+
+    const walkableCache = new Map();
+    const walkable = (cx, cz) => {
+        const key = keyOf(cx, cz);
+        if (!walkableCache.has(key)) {
+            const { x, z } = cellCenter(cx, cz);
+            walkableCache.set(key, isWalkable(x, z));
+        }
+        return walkableCache.get(key);
+    };
+
+    const startCell = toCell(start);
+    const goalCell = toCell(goal);
+    const startKey = keyOf(startCell.cx, startCell.cz);
+    const goalKey = keyOf(goalCell.cx, goalCell.cz);
+    const cameFrom = new Map();
+    const costs = new Map([[startKey, 0]]);
+    const open = createMinHeap();
+    open.push({ ...startCell, key: startKey, priority: octileDistance(startCell.cx, startCell.cz, goalCell.cx, goalCell.cz) });
+
+    let visited = 0;
+    let reached = startKey === goalKey;
+    while (open.size && !reached && visited < maxNodes) {
+        const current = open.pop();
+        const currentCost = costs.get(current.key);
+        if (current.priority - octileDistance(current.cx, current.cz, goalCell.cx, goalCell.cz) > currentCost + 1e-9) continue;
+        visited++;
+
+        for (const [dx, dz] of NEIGHBOURS) {
+            const cx = current.cx + dx;
+            const cz = current.cz + dz;
+            if (cx < 0 || cz < 0 || cx >= columns || cz >= rows || !walkable(cx, cz)) continue;
+            // No cutting corners past a blocked cell
+            if (dx && dz && (!walkable(current.cx + dx, current.cz) || !walkable(current.cx, current.cz + dz))) continue;
+            const from = current.key === startKey ? start : cellCenter(current.cx, current.cz);
+            if (!canStep(from, cellCenter(cx, cz))) continue;
+
+            const key = keyOf(cx, cz);
+            const cost = currentCost + (dx && dz ? Math.SQRT2 : 1);
+            if (cost >= (costs.get(key) ?? Infinity)) continue;
+            costs.set(key, cost);
+            cameFrom.set(key, current.key);
+            if (key === goalKey) {
+                reached = true;
+                break;
+            }
+            open.push({ cx, cz, key, priority: cost + octileDistance(cx, cz, goalCell.cx, goalCell.cz) });
+        }
+    }
+    if (!reached) return null;
+
+    const cells = [];
+    for (let key = goalKey; key !== startKey; key = cameFrom.get(key)) {
+        cells.push(cellCenter(key % columns, Math.floor(key / columns)));
+    }
+    cells.reverse();
+    // The last cell centre stands in for the goal itself
+    cells.splice(-1, 1, { x: goal.x, z: goal.z });
+
+    return simplifyPath([{ x: start.x, z: start.z }, ...cells], options).slice(1);
+}
@@ -0,0 +1,88 @@
+// Named region lookup and region notes.
+
+export const REGION_SHAPES = ['circle', 'box', 'polygon'];
+export const DEFAULT_REGION_ENTER_TEXT = '{{user}} entered {{region}}.';
+export const DEFAULT_REGION_EXIT_TEXT = '{{user}} left {{region}}.';
+
+export function slugifyRegionName(name) {
+    return String(name ?? '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'region';
+}
+
+function polygonContains(points, x, z) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        const crosses = (a.z > z) !== (b.z > z)
+            && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+export function regionContains(region, { x, y = null, z }) {
+    if (!region || !Number.isFinite(x) || !Number.isFinite(z)) return false;
+
+    if (Number.isFinite(y)) {
+        if (Number.isFinite(region.minY) && y < region.minY) return false;
+        if (Number.isFinite(region.maxY) && y > region.maxY) return false;
+    }
+
+    switch (region.shape) {
+        case 'circle':
+            return Math.hypot(x - region.x, z - region.z) <= region.radius;
+        case 'box':
+            return x >= region.minX && x <= region.maxX && z >= region.minZ && z <= region.maxZ;
+        case 'polygon':
+            return Array.isArray(region.points) && region.points.length >= 3 && polygonContains(region.points, x, z);
+        default:
+            return false;
+    }
+}
+
+// A point to walk towards when something is sent to a region. Open box edges fall back to the
+// closed one; null when the region has no usable extent.
+export function getRegionCenter(region) {
+    switch (region?.shape) {
+        case 'circle':
+            return Number.isFinite(region.x) && Number.isFinite(region.z) ? { x: region.x, z: region.z } : null;
+        case 'box': {
+            const axis = (min, max) => {
+                if (Number.isFinite(min) && Number.isFinite(max)) return (min + max) / 2;
+                if (Number.isFinite(min)) return min;
+                if (Number.isFinite(max)) return max;
+                return 0;
+            };
+            return { x: axis(region.minX, region.maxX), z: axis(region.minZ, region.maxZ) };
+        }
+        case 'polygon': {
+            if (!Array.isArray(region.points) || !region.points.length) return null;
+            const sum = region.points.reduce((acc, point) => ({ x: acc.x + point.x, z: acc.z + point.z }), { x: 0, z: 0 });
+            return { x: sum.x / region.points.length, z: sum.z / region.points.length };
+        }
+        default:
+            return null;
+    }
+}
+
+// Highest priority wins; regions with equal priority keep their declaration order.
+export function findRegionAt(regions, point) {
+    let match = null;
+    (regions ?? []).forEach((region) => {
+        if (!regionContains(region, point)) return;
+        if (!match || (region.priority ?? 0) > (match.priority ?? 0)) {
+            match = region;
+        }
+    });
+    return match;
+}
+
+export function formatRegionNote(template, { user = 'User', region = 'somewhere' } = {}) {
+    const values = { user, region };
+    return String(template ?? '')
+        .replace(/\{\{(user|region)\}\}/gi, (_match, key) => values[key.toLowerCase()])
+        .trim();
+}
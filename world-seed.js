@@ -0,0 +1,40 @@
+// Seeded randomness for world generation.
+
+export const DEFAULT_WORLD_SEED = 'world-engine';
+export const WORLD_SEED_MAX_LENGTH = 64;
+
+export function sanitizeWorldSeed(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return '';
+    return String(value).trim().slice(0, WORLD_SEED_MAX_LENGTH);
+}
+
+export function normalizeWorldSeed(value) {
+    return sanitizeWorldSeed(value) || DEFAULT_WORLD_SEED;
+}
+
+// FNV-1a, so any text (or number) typed into the settings can serve as a seed.
+export function hashWorldSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for scattering trees and stars.
+export function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashWorldSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function generateWorldSeed() {
+    return Math.floor(Math.random() * 0xffffffff).toString(36).padStart(6, '0');
+}
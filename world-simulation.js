@@ -0,0 +1,107 @@
+// The world's clock and weather without a renderer, for the scene and for when no viewer is open.
+
+import { WEATHER_PRESETS } from './world-commands.js';
+import { advanceClockHour, getClockHoursPerSecond, getSystemClockHour, normalizeClockMode } from './world-clock.js';
+
+export const PRECIPITATION_WEATHER = ['rainy', 'stormy'];
+// Skies that can turn to rain. Snow and overcast were chosen on purpose and stay until changed.
+export const RAIN_ROLL_WEATHER = ['clear', 'foggy'];
+export const RANDOM_RAIN_CHANCE = 0.12; // 12% chance per roll
+export const WEATHER_ROLL_INTERVAL = 60; // Seconds between weather rolls
+export const RAIN_DURATION_SECONDS = 300; // 5 minutes
+// The only commands that still mean something while no viewer is open
+export const SIMULATED_COMMANDS = ['time', 'weather'];
+
+export function isNightHour(hour) {
+    const normalized = ((Number(hour) % 24) + 24) % 24;
+    return Math.cos(normalized / 24 * Math.PI * 2) >= 0;
+}
+
+// Where a running clock is after delta seconds, or null when the mode only moves on commands.
+export function stepClockHour(hour, delta, { clockMode, dayLength, now = new Date() } = {}) {
+    switch (normalizeClockMode(clockMode)) {
+        case 'realtime':
+            return getSystemClockHour(now);
+        case 'scaled':
+            return advanceClockHour(hour, delta * getClockHoursPerSecond(dayLength, isNightHour(hour)));
+        default:
+            return null;
+    }
+}
+
+// Rain and storms clear after RAIN_DURATION_SECONDS; clear and foggy skies roll for rain once a minute.
+export function stepWeather({ weather, rollTimer = 0, rainTimer = 0 }, delta, random = Math.random) {
+    if (PRECIPITATION_WEATHER.includes(weather)) {
+        const elapsed = rainTimer + delta;
+        if (elapsed >= RAIN_DURATION_SECONDS) return { weather: 'clear', rollTimer: 0, rainTimer: elapsed, changed: true };
+        return { weather, rollTimer, rainTimer: elapsed, changed: false };
+    }
+    if (!RAIN_ROLL_WEATHER.includes(weather)) return { weather, rollTimer, rainTimer, changed: false };
+
+    const elapsed = rollTimer + delta;
+    if (elapsed < WEATHER_ROLL_INTERVAL) return { weather, rollTimer: elapsed, rainTimer, changed: false };
+    if (random() < RANDOM_RAIN_CHANCE) return { weather: 'rainy', rollTimer: 0, rainTimer: 0, changed: true };
+    return { weather, rollTimer: 0, rainTimer, changed: false };
+}
+
+// Only time and weather are simulated; every other command needs a scene to act on.
+export function createWorldSimulation({ timeOfDay = 12, weather = 'clear', random = Math.random } = {}) {
+    const state = { timeOfDay, weather, rollTimer: 0, rainTimer: 0 };
+
+    function setWeather(value, { restartRain = true } = {}) {
+        const next = String(value ?? '').toLowerCase();
+        if (!WEATHER_PRESETS.includes(next)) return false;
+        const changed = next !== state.weather;
+        state.weather = next;
+        if (PRECIPITATION_WEATHER.includes(next) && (changed || restartRain)) state.rainTimer = 0;
+        return changed;
+    }
+
+    function setTimeOfDay(value) {
+        const hour = Number(value);
+        if (!Number.isFinite(hour)) return false;
+        const next = advanceClockHour(hour, 0);
+        const changed = next !== state.timeOfDay;
+        state.timeOfDay = next;
+        return changed;
+    }
+
+    // Takes over from a viewer or a saved chat. Reporting the same rain again does not restart it.
+    function sync({ timeOfDay: hour = null, weather: sky = null } = {}) {
+        if (hour !== null) setTimeOfDay(hour);
+        if (sky !== null) setWeather(sky, { restartRain: false });
+    }
+
+    function tick(delta, { clockMode, dayLength, now } = {}) {
+        if (!Number.isFinite(delta) || delta <= 0) return { timeChanged: false, weatherChanged: false };
+        const hour = stepClockHour(state.timeOfDay, delta, { clockMode, dayLength, now });
+        const timeChanged = hour !== null && hour !== state.timeOfDay;
+        if (hour !== null) state.timeOfDay = hour;
+
+        const next = stepWeather(state, delta, random);
+        state.rollTimer = next.rollTimer;
+        state.rainTimer = next.rainTimer;
+        if (next.changed) setWeather(next.weather);
+        return { timeChanged, weatherChanged: next.changed };
+    }
+
+    // Expects a command that already passed validateWorldCommand. Time advances jump straight to the
+    // hour, since there is nothing to watch in between. Returns whether anything changed.
+    function applyCommand(command, { clockMode } = {}) {
+        switch (command?.command) {
+            case 'weather':
+                return setWeather(command.args?.preset);
+            case 'time':
+                if (normalizeClockMode(clockMode) === 'realtime') return false;
+                return setTimeOfDay(command.args?.hour);
+            default:
+                return false;
+        }
+    }
+
+    function getState() {
+        return { timeOfDay: state.timeOfDay, weather: state.weather };
+    }
+
+    return { tick, sync, applyCommand, getState };
+}
@@ -0,0 +1,203 @@
+// Per-chat world state persistence and the diffs the scene pushes.
+
+import { ITEM_TYPES, NPC_BEHAVIORS } from './world-commands.js';
+import { ITEM_NAME_MAX_LENGTH, ITEM_TEXT_MAX_LENGTH, normalizeInventory } from './world-inventory.js';
+import { sanitizeWorldSeed } from './world-seed.js';
+
+export const WORLD_STATE_VERSION = 1;
+export const WORLD_STATE_METADATA_KEY = 'world_engine';
+const LOCATION_NEARBY_LIMIT = 24;
+
+function toFiniteNumber(value, fallback = null) {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : fallback;
+}
+
+function roundTo(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function normalizePlayer(player) {
+    if (!player || typeof player !== 'object') return null;
+    const x = toFiniteNumber(player.x);
+    const z = toFiniteNumber(player.z);
+    if (x === null || z === null) return null;
+
+    const y = toFiniteNumber(player.y);
+    return {
+        x: roundTo(x, 2),
+        y: y === null ? null : roundTo(y, 2),
+        z: roundTo(z, 2),
+        yaw: roundTo(toFiniteNumber(player.yaw, 0), 3),
+        pitch: roundTo(toFiniteNumber(player.pitch, 0), 3),
+    };
+}
+
+function normalizeSpawnedObject(entry) {
+    if (!entry || typeof entry !== 'object' || typeof entry.type !== 'string') return null;
+    const x = toFiniteNumber(entry.x);
+    const z = toFiniteNumber(entry.z);
+    if (x === null || z === null) return null;
+
+    return {
+        id: typeof entry.id === 'string' && entry.id ? entry.id : null,
+        type: entry.type,
+        x: roundTo(x, 2),
+        z: roundTo(z, 2),
+        scale: roundTo(toFiniteNumber(entry.scale, 1), 2),
+        rotation: roundTo(toFiniteNumber(entry.rotation, 0), 1),
+    };
+}
+
+function normalizeNpc(entry) {
+    if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || !entry.name.trim()) return null;
+    const x = toFiniteNumber(entry.x);
+    const z = toFiniteNumber(entry.z);
+    if (x === null || z === null) return null;
+    const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    return {
+        name: entry.name.trim(),
+        x: roundTo(x, 2),
+        z: roundTo(z, 2),
+        behavior: NPC_BEHAVIORS.includes(entry.behavior) ? entry.behavior : 'idle',
+        waypoints: optionalText(entry.waypoints),
+        greeting: optionalText(entry.greeting),
+        avatar: optionalText(entry.avatar),
+    };
+}
+
+// Where the player last stood and what was around them, kept for the prompt while no viewer is open.
+function normalizeLocation(location) {
+    if (!location || typeof location !== 'object') return null;
+    const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+    const nearby = (Array.isArray(location.nearby) ? location.nearby : [])
+        .map((entry) => {
+            const label = optionalText(entry?.label)?.slice(0, 64);
+            const distance = toFiniteNumber(entry?.distance);
+            return label && distance !== null ? { label, distance: roundTo(distance, 1) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.distance - b.distance)
+        // Closest first, so the copy kept of a name listed twice is the nearer one
+        .filter((entry, index, list) => list.findIndex((other) => other.label.toLowerCase() === entry.label.toLowerCase()) === index)
+        .slice(0, LOCATION_NEARBY_LIMIT);
+
+    return {
+        regionId: optionalText(location.regionId),
+        description: optionalText(location.description),
+        nearby,
+    };
+}
+
+function normalizeWorldItem(entry) {
+    if (!entry || typeof entry !== 'object' || !ITEM_TYPES.includes(entry.type)) return null;
+    const x = toFiniteNumber(entry.x);
+    const z = toFiniteNumber(entry.z);
+    if (x === null || z === null) return null;
+    const optionalText = (value, maxLength) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null);
+
+    return {
+        type: entry.type,
+        name: optionalText(entry.name, ITEM_NAME_MAX_LENGTH),
+        text: optionalText(entry.text, ITEM_TEXT_MAX_LENGTH),
+        x: roundTo(x, 2),
+        z: roundTo(z, 2),
+    };
+}
+
+export function normalizeWorldSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return null;
+
+    const version = toFiniteNumber(snapshot.version, WORLD_STATE_VERSION);
+    if (version > WORLD_STATE_VERSION) {
+        console.warn('[World Engine] Ignoring world state saved by a newer version.', { version });
+        return null;
+    }
+
+    const timeOfDay = toFiniteNumber(snapshot.timeOfDay);
+    return {
+        version: WORLD_STATE_VERSION,
+        seed: sanitizeWorldSeed(snapshot.seed) || null,
+        timeOfDay: timeOfDay === null ? null : roundTo(((timeOfDay % 24) + 24) % 24, 3),
+        weather: typeof snapshot.weather === 'string' ? snapshot.weather.toLowerCase() : null,
+        player: normalizePlayer(snapshot.player),
+        location: normalizeLocation(snapshot.location),
+        spawnedObjects: Array.isArray(snapshot.spawnedObjects)
+            ? snapshot.spawnedObjects.map(normalizeSpawnedObject).filter(Boolean)
+            : [],
+        npcs: Array.isArray(snapshot.npcs) ? snapshot.npcs.map(normalizeNpc).filter(Boolean) : [],
+        inventory: normalizeInventory(snapshot.inventory),
+        // Items dropped or placed by commands, and the ids of seeded items already picked up
+        items: Array.isArray(snapshot.items) ? snapshot.items.map(normalizeWorldItem).filter(Boolean) : [],
+        collectedItems: Array.isArray(snapshot.collectedItems)
+            ? snapshot.collectedItems.filter((id) => typeof id === 'string' && id)
+            : [],
+        completedObjectives: Array.isArray(snapshot.completedObjectives)
+            ? snapshot.completedObjectives.filter((id) => typeof id === 'string' && id)
+            : [],
+    };
+}
+
+export function readChatWorldState(context) {
+    const metadata = context?.chatMetadata;
+    if (!metadata || typeof metadata !== 'object') return null;
+    return normalizeWorldSnapshot(metadata[WORLD_STATE_METADATA_KEY]);
+}
+
+export function writeChatWorldState(context, snapshot) {
+    const metadata = context?.chatMetadata;
+    const normalized = normalizeWorldSnapshot(snapshot);
+    if (!metadata || typeof metadata !== 'object' || !normalized) return false;
+
+    metadata[WORLD_STATE_METADATA_KEY] = normalized;
+
+    const save = typeof context.saveMetadataDebounced === 'function'
+        ? context.saveMetadataDebounced
+        : context.saveMetadata;
+    if (typeof save !== 'function') {
+        console.warn('[World Engine] No metadata save hook available; world state will persist on the next chat save.');
+        return true;
+    }
+
+    try {
+        const result = save.call(context);
+        if (result && typeof result.catch === 'function') {
+            result.catch((error) => console.warn('[World Engine] Failed to save chat world state.', error));
+        }
+    } catch (error) {
+        console.warn('[World Engine] Failed to save chat world state.', error);
+    }
+    return true;
+}
+
+// What the scene pushes an update for: a new location or weather, the clock passing a whole hour, and
+// someone or something coming into or out of range. Walking around on its own never does.
+export const STATE_PUSH_TRIGGERS = ['location', 'weather', 'hour', 'nearby', 'npcs', 'inventory'];
+
+function describeStateTriggers(state) {
+    const hour = toFiniteNumber(state?.snapshot?.timeOfDay);
+    return {
+        location: state?.regionId ?? state?.locationDescription ?? null,
+        weather: state?.weather ?? null,
+        hour: hour === null ? null : Math.floor(hour),
+        nearby: (state?.nearbyObjects ?? []).map((entry) => entry?.label).join('|'),
+        npcs: (state?.npcs ?? []).map((npc) => npc?.name).join('|'),
+        inventory: JSON.stringify(state?.inventory ?? []),
+    };
+}
+
+// reasons names the triggers that fired; changes holds every top-level field that differs, for the
+// receiver to merge over its last copy. Without a previous state everything counts as changed.
+export function diffWorldState(previous, next) {
+    if (!next || typeof next !== 'object') return { reasons: [], changes: {} };
+    const before = previous ? describeStateTriggers(previous) : null;
+    const after = describeStateTriggers(next);
+    const reasons = STATE_PUSH_TRIGGERS.filter((trigger) => !before || before[trigger] !== after[trigger]);
+    const changes = {};
+    Object.entries(next).forEach(([key, value]) => {
+        if (!previous || JSON.stringify(previous[key]) !== JSON.stringify(value)) changes[key] = value;
+    });
+    return { reasons, changes };
+}